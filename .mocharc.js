@@ -0,0 +1,5 @@
+module.exports = {
+    require: ["test/setup.js"],
+    spec: ["test/**/*.test.js"],
+    timeout: 20000
+};
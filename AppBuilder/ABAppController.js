@@ -633,6 +633,104 @@ export default class ABAppController extends EventEmitter {
             });
     }
 
+    /**
+     * storageKeys()
+     * return the storage keys that hold this App's data. These are what
+     * reset() clears.
+     * @return {array}
+     *      keys, or key prefixes ending in "*"
+     */
+    storageKeys() {
+        var keys = [this.refStatusKey()];
+        this.datacollections.forEach((key) => {
+            var dc = this.application.datacollectionByID(key);
+            if (dc) {
+                keys.push(dc.refStorage());
+                keys = keys.concat(
+                    dc.datasource
+                        .model()
+                        .local()
+                        .storageKeys()
+                );
+            }
+        });
+        // data collections can share a datasource, and so its keys
+        return keys.filter((key, i) => {
+            return keys.indexOf(key) == i;
+        });
+    }
+
+    /**
+     * storedObjects()
+     * the ABObjects whose records this App's data collections store.
+     * @return {array}
+     */
+    storedObjects() {
+        var objects = [];
+        this.datacollections.forEach((key) => {
+            var dc = this.application.datacollectionByID(key);
+            if (dc && dc.datasource && objects.indexOf(dc.datasource) == -1) {
+                objects.push(dc.datasource);
+            }
+        });
+        return objects;
+    }
+
+    /**
+     * conflicts()
+     * list the records of this App's objects that were changed both on this
+     * device and on the server, and need the user to choose the values to
+     * keep.
+     * @return {Promise}
+     *      resolved with an [array] of
+     *      { object: {ABObject}, conflict: {obj} }
+     *      see ABModelLocal.conflicts()
+     */
+    conflicts() {
+        return Promise.all(
+            this.storedObjects().map((object) => {
+                return object
+                    .model()
+                    .local()
+                    .conflicts()
+                    .then((list) => {
+                        return list.map((conflict) => {
+                            return { object: object, conflict: conflict };
+                        });
+                    });
+            })
+        ).then((lists) => {
+            return [].concat.apply([], lists);
+        });
+    }
+
+    /**
+     * unsynced()
+     * list the records of this App's objects that were changed on this
+     * device, and that the server doesn't have yet or has refused.
+     * @return {Promise}
+     *      resolved with an [array] of
+     *      { object: {ABObject}, state: {obj} }
+     *      see ABModelLocal.unsynced()
+     */
+    unsynced() {
+        return Promise.all(
+            this.storedObjects().map((object) => {
+                return object
+                    .model()
+                    .local()
+                    .unsynced()
+                    .then((list) => {
+                        return list.map((state) => {
+                            return { object: object, state: state };
+                        });
+                    });
+            })
+        ).then((lists) => {
+            return [].concat.apply([], lists);
+        });
+    }
+
     /**
      * valueLoad()
      * load a value from local storage.
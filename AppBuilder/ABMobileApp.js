@@ -15,6 +15,10 @@ import Lock from "../resources/Lock.js";
 
 import { Storage, storage } from "../resources/Storage.js";
 
+// How long (ms) lookup data from the server is used before it is requested
+// again.  See lookupData()
+const LOOKUP_TTL = 24 * 60 * 60 * 1000;
+
 export default class ABMobileApp extends EventEmitter {
     /**
      * @param {Framework7} app
@@ -35,6 +39,8 @@ export default class ABMobileApp extends EventEmitter {
 
         this._queueLocks = {}; // a constant reference to available Queue Locks.
 
+        this._lookupRequests = {}; // { fieldName: true } while lookup data is requested again
+
         this.datacollections = [];
     }
 
@@ -336,7 +342,8 @@ export default class ABMobileApp extends EventEmitter {
      * a method to access this data:  .get[fieldName]()
      *
      * this method populates the data from the values stored in our
-     * local storage.
+     * local storage.  If they were loaded from the server more than
+     * LOOKUP_TTL ago, they are requested again in the background.
      *
      * @param {string} id  the uuid of the defined OBJ that contains this data
      * @param {string} fieldName the local field name to reference this data
@@ -362,6 +369,24 @@ export default class ABMobileApp extends EventEmitter {
             return this.lookupData(id, fieldName);
         };
 
+        storage
+            .get(this.refLookupStatus(fieldName), { withExpiry: true })
+            .then((entry) => {
+                if (entry && !entry.isExpired) return;
+                if (this._lookupRequests[fieldName]) return;
+
+                this._lookupRequests[fieldName] = true;
+                return this.lookupDataRemote(id, fieldName, true).then(() => {
+                    delete this._lookupRequests[fieldName];
+                });
+            })
+            .catch((err) => {
+                console.error(
+                    this.id + ":lookupData: unable to check " + fieldName,
+                    err
+                );
+            });
+
         return new Promise((resolve, reject) => {
             obj.model()
                 .local()
@@ -412,6 +437,14 @@ export default class ABMobileApp extends EventEmitter {
                     obj.model()
                         .local()
                         .saveLocalData(allEntries)
+                        .then(() => {
+                            // fresh until LOOKUP_TTL from now
+                            return storage.set(
+                                this.refLookupStatus(fieldName),
+                                Date.now(),
+                                { ttl: LOOKUP_TTL }
+                            );
+                        })
                         .then(() => {
                             resolve();
                         });
@@ -555,6 +588,9 @@ export default class ABMobileApp extends EventEmitter {
      * This routine will create a local property for the value as well as
      * an accessor method.
      *
+     * The property is kept up to date when the stored value changes, and
+     * "<fieldName>Updated" is emitted.
+     *
      * @param {string} fieldName the local field name to reference this data
      *                 by.
      */
@@ -567,6 +603,24 @@ export default class ABMobileApp extends EventEmitter {
             return this[dataRef];
         };
 
+        this._valueWatches = this._valueWatches || {};
+        if (!this._valueWatches[fieldName]) {
+            this._valueWatches[fieldName] = storage.watch(
+                storageRef,
+                (change) => {
+                    // ignore our own valueSave()
+                    if (
+                        JSON.stringify(change.value) ==
+                        JSON.stringify(this[dataRef])
+                    ) {
+                        return;
+                    }
+                    this[dataRef] = change.value;
+                    this.emit(fieldName + "Updated");
+                }
+            );
+        }
+
         return storage.get(storageRef).then((value) => {
             this[dataRef] = value;
         });
@@ -603,6 +657,9 @@ export default class ABMobileApp extends EventEmitter {
     refDC(fieldName) {
         return "dc" + fieldName;
     }
+    refLookupStatus(fieldName) {
+        return this.id + "-lookup-" + fieldName;
+    }
     refMarkers() {
         return this.id + "-Markers";
     }
@@ -207,8 +207,15 @@ module.exports = class ABModel extends ABModelCore {
     /**
      * @method create
      * update model values on the server.
+     * Invalid values are not saved: the Promise is rejected with an
+     * E_VALIDATION error, see ABObject.isValidData().
      */
     create(values) {
+        var validator = this.object.isValidData(values);
+        if (!validator.pass()) {
+            return Promise.reject(validator.toError());
+        }
+
         this.prepareMultilingualData(values);
 
         // make sure any values we create have a UUID field set:
@@ -311,13 +318,14 @@ module.exports = class ABModel extends ABModelCore {
                 //	return [];
 
                 // for now:
-                var params = this.urlParamsFind(cond);
-                var responseContext = this.responseContext; // this.object.application.cloneDeep(this.responseContext);
-                responseContext.context.verb = "find";
-                return AB.Comm.Relay.get(params, responseContext).then(() => {
-                    // a relay doesn't return the data right away so:
-                    return [];
-                });
+                // (the relay asks for only the changes, when it can)
+                var relay = this.relay();
+                relay.contextValues(
+                    Object.assign({}, this.responseContext.context, {
+                        verb: "find"
+                    })
+                );
+                return relay.findAll(cond);
             })
             .then((remoteData) => {
                 // if we are supposed to work with local data:
@@ -351,8 +359,15 @@ module.exports = class ABModel extends ABModelCore {
     /**
      * @method update
      * update model values on the server.
+     * Invalid values are not saved: the Promise is rejected with an
+     * E_VALIDATION error, see ABObject.isValidData().
      */
     update(id, values) {
+        var validator = this.object.isValidData(values, true);
+        if (!validator.pass()) {
+            return Promise.reject(validator.toError());
+        }
+
         this.prepareMultilingualData(values);
 
         values.updated_at = this.object.application.updatedAt();
@@ -407,4 +422,37 @@ module.exports = class ABModel extends ABModelCore {
                 })
         );
     }
+
+    /**
+     * @method resolveConflict
+     * save the values the user chose for the conflicting fields of a record,
+     * and send them to the server.
+     * @param {string} uuid
+     * @param {obj} values  { field: value }  see ABModelLocal.conflicts()
+     * @return {Promise}
+     */
+    resolveConflict(uuid, values) {
+        var validator = this.object.isValidData(values, true);
+        if (!validator.pass()) {
+            return Promise.reject(validator.toError());
+        }
+
+        values = Object.assign({}, values);
+        values.updated_at = this.object.application.updatedAt();
+
+        return this.local()
+            .resolveConflict(uuid, values)
+            .then((record) => {
+                // we no longer have it
+                if (!record) return;
+
+                this.object.emit("UPDATE", record);
+
+                values.uuid = uuid;
+                return this.relay().update(
+                    record[this.object.PK()] || uuid,
+                    values
+                );
+            });
+    }
 };
@@ -6,8 +6,44 @@
  */
 
 var ABModelCore = require("../core/ABModelCore");
+var ABModelLocalIndex = require("./ABModelLocalIndex");
+var ABModelLocalJoins = require("./ABModelLocalJoins");
+var ABModelLocalObserver = require("./ABModelLocalObserver");
+var ABModelLocalQuery = require("./ABModelLocalQuery");
+var ABModelLocalRelations = require("./ABModelLocalRelations");
+var ABModelLocalSearch = require("./ABModelLocalSearch");
 var storage = require("../../resources/Storage").storage;
 
+// Each record is stored under its own key: "<refStorage()>/<uuid>", and each
+// index in pieces under "<refStorage()>#<column>/", see ABModelLocalIndex.
+// refStorage() itself holds { layout: LAYOUT_RECORDS, indexLayout:
+// LAYOUT_INDEX_BUCKETS, indexes: [columns] }.  Before this, it held all the
+// records in a single { uuid: {record} } value, and later each index was a
+// single value under "<refStorage()>#<column>".
+//
+// A record that is edited locally also has the server's copy from before the
+// edits under "<refStorage()>~<uuid>", and any fields that could not be merged
+// with the server's changes under "<refStorage()>!<uuid>".
+//
+// A record deleted on this device leaves a tombstone under
+// "<refStorage()>^<uuid>" until the server confirms the delete.  Records
+// changed on this device have their sync state under "<refStorage()>@<uuid>"
+// until the server has all the changes.
+//
+// The date of the last "changed since" find made for a data collection, or
+// for the object itself, is under "<refStorage()>%<context id>".  See
+// syncDelta().
+var LAYOUT_RECORDS = 2;
+var LAYOUT_INDEX_BUCKETS = 1;
+
+// How long a tombstone is kept if the server never confirms the delete.
+// Storage.sweep() removes it after that.
+var TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// ABModel.local() makes a new ABModelLocal each time, so the loaded indexes
+// are kept here: { refStorage() : [ABModelLocalIndex] }
+var _indexes = {};
+
 // /**
 //  * @method triggerEvent
 //  * Publish a event when data in the model is changed
@@ -56,33 +92,8 @@ module.exports = class ABModelLocal extends ABModelCore {
      * @return {Promise}
      */
     platformInit() {
-        return new Promise((resolve, reject) => {
-            // var storage = AB.Platform.storage;
-
-            var lock = this.lock();
-            lock.acquire()
-                .then(() => {
-                    return storage.get(this.refStorage());
-                })
-                .then((allObjects) => {
-                    // if data was returned, then we have already been initialized.
-                    if (allObjects) {
-                        resolve();
-                        return;
-                    }
-
-                    // if nothing returned, initialize to an empty data set
-                    return storage.set(this.refStorage(), {});
-                })
-                .then(() => {
-                    lock.release();
-                    resolve();
-                })
-                .catch((err) => {
-                    lock.release();
-                    reject(err);
-                });
-        });
+        // .transaction() moves any data in the original layout
+        return this.transaction(() => {});
     }
 
     /**
@@ -93,28 +104,139 @@ module.exports = class ABModelLocal extends ABModelCore {
      * @return {Promise}
      */
     platformReset() {
-        return new Promise((resolve, reject) => {
-            // var storage = AB.Platform.storage;
+        var lock = this.lock();
+        return lock
+            .acquire()
+            .then(() => {
+                // deletes that haven't been sent yet are kept, so the data
+                // downloaded again doesn't bring those records back, and so
+                // are the sync states of changes not yet sent.
+                var keep = [
+                    `${this.refTombstonePrefix()}*`,
+                    `${this.refSyncPrefix()}*`
+                ];
+                return storage.transaction((tx) => {
+                    ABModelLocalObserver.watch(this, tx);
+                    return Promise.all(
+                        this.storageKeys().map((key) => {
+                            if (keep.indexOf(key) > -1) return;
+                            if (key.slice(-1) != "*") {
+                                return tx.clear(key);
+                            }
+                            return tx.keys(key.slice(0, -1)).then((keys) => {
+                                keys.forEach((key) => {
+                                    tx.clear(key);
+                                });
+                            });
+                        })
+                    );
+                });
+            })
+            .then(() => {
+                this.indexes().forEach((index) => {
+                    index.reset();
+                });
+                lock.release();
+            })
+            .catch((err) => {
+                lock.release();
+                throw err;
+            });
+    }
 
-            var lock = this.lock();
-            lock.acquire()
+    lock() {
+        return storage.Lock(this.refStorage());
+    }
+
+    /**
+     * transaction()
+     * perform fn(tx) in a storage transaction, while holding our lock.
+     * If a transaction is given, fn() becomes part of it instead, so its
+     * changes are saved together with the rest of that transaction.
+     * @param {fn} fn
+     *      fn(tx) that returns a {Promise}
+     * @param {StorageTransaction} [tx]
+     * @return {Promise}
+     */
+    transaction(fn, tx) {
+        var run = (tx) => {
+            ABModelLocalObserver.watch(this, tx);
+            return tx
+                .lock(this.refStorage())
                 .then(() => {
-                    // if nothing returned, initialize to an empty data set
-                    return storage.set(this.refStorage(), null);
+                    return this.prepareLayout(tx);
                 })
                 .then(() => {
-                    lock.release();
-                    resolve();
+                    return fn(tx);
                 })
-                .catch((err) => {
-                    lock.release();
-                    reject(err);
+                .then((result) => {
+                    return this.saveIndexes(tx).then(() => {
+                        return result;
+                    });
                 });
-        });
+        };
+        if (tx) {
+            return run(tx);
+        }
+        return storage.transaction(run);
     }
 
-    lock() {
-        return storage.Lock(this.refStorage());
+    /**
+     * prepareLayout()
+     * make sure our records are stored one per key, with our current
+     * indexes.  Data saved in the original layout is moved, and indexes are
+     * built, as part of the given transaction.
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    prepareLayout(tx) {
+        var columns = this.indexColumns();
+        return tx.get(this.refStorage()).then((header) => {
+            var isCurrent = header && header.layout == LAYOUT_RECORDS;
+            var oldColumns = (isCurrent && header.indexes) || [];
+            var isBucketed =
+                isCurrent && header.indexLayout == LAYOUT_INDEX_BUCKETS;
+            if (isBucketed && oldColumns.join(",") == columns.join(",")) {
+                return;
+            }
+
+            var saves = [];
+            var loading;
+            if (isCurrent) {
+                loading = this.getLocalData(tx);
+            } else {
+                var records = this.hashRecords(header || {});
+                saves = Object.keys(records).map((uuid) => {
+                    return tx.set(this.refRecord(uuid), records[uuid]);
+                });
+                loading = Promise.resolve(records);
+            }
+
+            // indexes that are no longer wanted, or still stored whole
+            oldColumns.forEach((column) => {
+                if (!isBucketed) {
+                    saves.push(tx.clear(this.refIndexPrefix() + column));
+                } else if (columns.indexOf(column) == -1) {
+                    var index = new ABModelLocalIndex(this, column);
+                    saves.push(index.clear(tx));
+                }
+            });
+
+            return Promise.all(saves)
+                .then(() => {
+                    return loading;
+                })
+                .then((allObjects) => {
+                    this.indexes().forEach((index) => {
+                        index.rebuild(allObjects, tx);
+                    });
+                    return tx.set(this.refStorage(), {
+                        layout: LAYOUT_RECORDS,
+                        indexLayout: LAYOUT_INDEX_BUCKETS,
+                        indexes: columns
+                    });
+                });
+        });
     }
 
     /**
@@ -123,118 +245,800 @@ module.exports = class ABModelLocal extends ABModelCore {
      * NOTE: this method is reused in more complex operations
      * so it does not Lock the data before accessing. It is
      * expected the external operations will .lock() the data
+     * @param {StorageTransaction} [tx]  read as part of this transaction
      * @return {Promise}
      *		resolved: with a hash of the stored data:
      *			{ uuid: {obj1}, uuid2:{obj2} }
      */
-    getLocalData() {
+    getLocalData(tx) {
         // var storage = AB.Platform.storage;
-        return storage.get(this.refStorage()).then((allObjects) => {
-            allObjects = allObjects || {};
-            return allObjects;
+        var store = tx || storage;
+        return store.get(this.refStorage()).then((header) => {
+            if (header && header.layout != LAYOUT_RECORDS) {
+                // not moved to the current layout yet
+                return this.hashRecords(header);
+            }
+
+            var prefix = this.refRecordPrefix();
+            return store.getPrefix(prefix).then((values) => {
+                var allObjects = {};
+                for (var key in values) {
+                    allObjects[key.slice(prefix.length)] = values[key];
+                }
+                return allObjects;
+            });
         });
     }
 
-    saveLocalData(allObjects) {
+    /**
+     * saveLocalData()
+     * replace all the local entries for this model's object.
+     * NOTE: this rewrites every record. Like getLocalData(), it does not
+     * Lock the data.
+     * @param {obj} allObjects  a hash of the data, as from getLocalData()
+     * @param {StorageTransaction} [tx]  save as part of this transaction
+     * @return {Promise}
+     */
+    saveLocalData(allObjects, tx) {
         // var storage = AB.Platform.storage;
-        return storage.set(this.refStorage(), allObjects);
+        var save = (tx) => {
+            var records = this.hashRecords(allObjects || {});
+            var prefix = this.refRecordPrefix();
+            return this.prepareLayout(tx)
+                .then(() => {
+                    return tx.keys(prefix);
+                })
+                .then((keys) => {
+                    keys.forEach((key) => {
+                        if (!records[key.slice(prefix.length)]) {
+                            tx.clear(key);
+                        }
+                    });
+                    this.indexes().forEach((index) => {
+                        index.rebuild(records, tx);
+                    });
+                    return Promise.all(
+                        Object.keys(records).map((uuid) => {
+                            return tx.set(this.refRecord(uuid), records[uuid]);
+                        })
+                    );
+                })
+                .then(() => {
+                    return this.saveIndexes(tx);
+                });
+        };
+        if (tx) {
+            return save(tx);
+        }
+        return storage.transaction(save);
     }
 
-    localStorageCreate(data) {
-        var UUID = this.object.fieldUUID(data);
+    /**
+     * saveRecord()
+     * store one record, and update our indexes.
+     * @param {string} uuid
+     * @param {obj} record
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    saveRecord(uuid, record, tx) {
+        return Promise.all(
+            this.indexes().map((index) => {
+                return index.update(uuid, record, tx);
+            })
+        ).then(() => {
+            return tx.set(this.refRecord(uuid), record);
+        });
+    }
 
-        var lock = this.lock();
-        return lock
-            .acquire()
-            .then(() => {
-                // console.log('--- '+this.refStorage()+'.localStorageCreate start', allData);
-                return this.getLocalData();
+    /**
+     * clearRecord()
+     * remove one record, and update our indexes.
+     * @param {string} uuid
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    clearRecord(uuid, tx) {
+        return Promise.all(
+            this.indexes().map((index) => {
+                return index.update(uuid, null, tx);
             })
-            .then((allObjects) => {
-                // if current data item is not in allObjects, add it:
-                if (!allObjects[data[UUID]]) {
-                    allObjects[data[UUID]] = data;
-                }
+        ).then(() => {
+            return Promise.all([
+                tx.clear(this.refRecord(uuid)),
+                tx.clear(this.refBase(uuid)),
+                tx.clear(this.refConflict(uuid))
+            ]);
+        });
+    }
 
-                return allObjects;
+    /**
+     * findUUID()
+     * find the uuid a record is stored under.  Data that doesn't carry our
+     * uuid is found by its PK.
+     * @param {obj} data
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     *      resolved with the uuid, or null if we don't have it.
+     */
+    findUUID(data, tx) {
+        var uuid = data[this.object.fieldUUID(data)];
+        var lookup = uuid
+            ? tx.get(this.refRecord(uuid))
+            : Promise.resolve(null);
+        return lookup.then((found) => {
+            if (found) return uuid;
+
+            var PK = this.object.PK();
+            if (!data[PK] || !this.index(PK)) return null;
+            return this.index(PK)
+                .uuids(data[PK], tx)
+                .then((uuids) => {
+                    return uuids[0] || null;
+                });
+        });
+    }
+
+    /**
+     * getRecords()
+     * load the stored records with the given uuids.
+     * @param {array} uuids
+     * @param {StorageTransaction} tx
+     * @param {string} [prefix]
+     *      load these from another of our prefixes, like refBasePrefix()
+     * @return {Promise}
+     *      resolved with a hash of the ones we have: { uuid: {obj} }
+     */
+    getRecords(uuids, tx, prefix = this.refRecordPrefix()) {
+        return Promise.all(
+            uuids.map((uuid) => {
+                return tx.get(prefix + uuid);
             })
-            .then((allObjects) => {
-                // make sure our copy of the data has all the fields in
-                // the incoming data:
+        ).then((values) => {
+            var records = {};
+            values.forEach((value, i) => {
+                if (value) {
+                    records[uuids[i]] = value;
+                }
+            });
+            return records;
+        });
+    }
 
-                var ours = allObjects[data[UUID]];
-                for (var d in data) {
-                    // Question: do we store __relation  fields?
-                    // if (d.indexOf('__relation') == -1) {
+    /**
+     * mergeRecords()
+     * apply a merge to the stored records that allData refers to, and save
+     * the ones it replaced.
+     *
+     * If prefer is given, records that have been edited locally are instead
+     * merged field by field with mergeEdited().  Records we have deleted are
+     * not added back.
+     * @param {array} allData
+     * @param {fn} merge
+     *      merge(records, allData), like .mergeNew()
+     * @param {StorageTransaction} tx
+     * @param {string} [prefer]
+     *      "local" or "remote": which value conflicting fields keep
+     * @return {Promise}
+     *      resolved with the [array] of allData that was merged: without the
+     *      records we have deleted.
+     */
+    mergeRecords(allData, merge, tx, prefer) {
+        if (!Array.isArray(allData)) allData = [allData];
 
-                    if (!ours[d]) {
-                        ours[d] = data[d];
-                    }
-                    // }
+        var uuidOf = (data) => {
+            return data[this.object.fieldUUID(data)];
+        };
+        var uuids = allData.map(uuidOf).filter((uuid) => {
+            return uuid;
+        });
+        return Promise.all([
+            this.getRecords(uuids, tx),
+            prefer
+                ? this.getRecords(uuids, tx, this.refBasePrefix())
+                : Promise.resolve({}),
+            this.tombstones(tx)
+        ]).then((found) => {
+            var records = found[0];
+            var bases = found[1];
+            var tombstones = found[2];
+
+            allData = allData.filter((data) => {
+                return !this.isListed(data, tombstones);
+            });
+
+            var isEdited = (data) => {
+                var uuid = uuidOf(data);
+                return !!(bases[uuid] && records[uuid]);
+            };
+            var edited = allData.filter(isEdited);
+
+            var before = Object.assign({}, records);
+            merge(
+                records,
+                allData.filter((data) => {
+                    return !isEdited(data);
+                })
+            );
+
+            var saves = Object.keys(records)
+                .filter((uuid) => {
+                    return records[uuid] !== before[uuid];
+                })
+                .map((uuid) => {
+                    return this.saveRecord(uuid, records[uuid], tx);
+                });
+            edited.forEach((data) => {
+                var uuid = uuidOf(data);
+                saves.push(
+                    this.mergeEdited(
+                        uuid,
+                        records[uuid],
+                        data,
+                        bases[uuid],
+                        prefer,
+                        tx
+                    )
+                );
+            });
+            return Promise.all(saves).then(() => {
+                return allData;
+            });
+        });
+    }
+
+    /**
+     * mergeEdited()
+     * merge the server's copy of a record into our locally edited one, field
+     * by field.  Fields that both have changed are recorded as conflicts.
+     * @param {string} uuid
+     * @param {obj} local  our record
+     * @param {obj} remote  the server's record
+     * @param {obj} base  the server's record before our edits
+     * @param {string} prefer
+     *      "local" or "remote": which value conflicting fields keep
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    mergeEdited(uuid, local, remote, base, prefer, tx) {
+        var result = this.mergeFields(base, local, remote, prefer);
+        return Promise.all([
+            this.saveRecord(uuid, result.record, tx),
+            this.saveConflicts(uuid, result, remote, prefer, tx)
+        ]).then((saved) => {
+            // the server has all our edits, and there is nothing left for
+            // the user to choose.  Until then, later syncs are merged too.
+            if (result.isSynced && !saved[1]) {
+                return tx.clear(this.refBase(uuid));
+            }
+            return tx.set(this.refBase(uuid), Object.assign({}, base, remote));
+        });
+    }
+
+    /**
+     * saveConflicts()
+     * add the conflicts of a merge to the ones stored for a record, and drop
+     * the ones the merge has settled: the server now has our value.
+     * @param {string} uuid
+     * @param {obj} result  from mergeFields()
+     * @param {obj} remote  the server's record
+     * @param {string} prefer
+     *      "local" or "remote": which value conflicting fields kept
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     *      resolved with the stored conflicts, or null if there are none
+     */
+    saveConflicts(uuid, result, remote, prefer, tx) {
+        var key = this.refConflict(uuid);
+        return tx.get(key).then((stored) => {
+            var isNew = Object.keys(result.conflicts).length > 0;
+            if (!stored && !isNew) return null;
+
+            var fields = (stored && stored.fields) || {};
+            Object.keys(fields).forEach((name) => {
+                if (!(name in remote)) return;
+                // when the server's value is kept, ours is only in the
+                // conflict
+                var ours =
+                    prefer == "remote"
+                        ? fields[name].local
+                        : result.record[name];
+                if (ABModelLocal.isSameValue(ours, remote[name])) {
+                    delete fields[name];
                 }
+            });
+            Object.assign(fields, result.conflicts);
 
-                return allObjects;
-            })
-            .then((allObjects) => {
-                return this.saveLocalData(allObjects);
-            })
-            .then((returnValue) => {
-                // console.log('--- '+this.refStorage()+'.localStorageCreate end', data);
-                lock.release();
-                return returnValue;
-            })
-            .catch((err) => {
-                lock.release();
+            if (Object.keys(fields).length == 0) {
+                return tx.clear(key).then(() => {
+                    return null;
+                });
+            }
+            var conflicts = {
+                uuid: uuid,
+                fields: fields,
+                time: isNew ? Date.now() : stored.time
+            };
+            return tx.set(key, conflicts).then(() => {
+                return conflicts;
             });
+        });
     }
 
-    localStorageDestroy(id) {
-        var UUID = this.object.fieldUUID();
-        var lock = this.lock();
-        return lock
-            .acquire()
-            .then(() => {
-                // console.log('--- '+this.refStorage()+'.localStorageDestroy start', allData);
-                return this.getLocalData();
-            })
-            .then((allObjects) => {
-                // if this is a UUID:
-                if (
-                    isNaN(parseInt(id)) ||
-                    (id.indexOf && id.indexOf("-") > -1)
-                ) {
-                    for (var o in allObjects) {
-                        var obj = allObjects[o];
-                        if (obj.uuid == id) {
-                            delete allObjects[o];
-                        }
+    /**
+     * conflicts()
+     * list our records that have fields changed both here and on the
+     * server, which are waiting for the user to choose a value.
+     * @return {Promise}
+     *      resolved with an [array] of
+     *      {
+     *          uuid: {string},
+     *          time: {int} when the conflict was found,
+     *          record: {obj} our record,
+     *          fields: { field: { base, local, remote } }
+     *      }
+     *      oldest first.
+     */
+    conflicts() {
+        return this.transaction((tx) => {
+            return tx.getPrefix(this.refConflictPrefix()).then((stored) => {
+                var list = Object.keys(stored)
+                    .map((key) => {
+                        return stored[key];
+                    })
+                    .filter((conflict) => {
+                        return conflict && conflict.uuid;
+                    });
+                return this.getRecords(
+                    list.map((conflict) => {
+                        return conflict.uuid;
+                    }),
+                    tx
+                ).then((records) => {
+                    return list
+                        .filter((conflict) => {
+                            return records[conflict.uuid];
+                        })
+                        .map((conflict) => {
+                            return Object.assign({}, conflict, {
+                                record: records[conflict.uuid]
+                            });
+                        });
+                });
+            });
+        }).then((list) => {
+            return list.sort((a, b) => {
+                return a.time - b.time;
+            });
+        });
+    }
+
+    /**
+     * resolveConflict()
+     * save the values the user chose for the conflicting fields of a
+     * record.  The fields are no longer conflicts, and stay edited until the
+     * server has them.  Use ABModel.resolveConflict() to also send them to
+     * the server.
+     * @param {string} uuid
+     * @param {obj} values  { field: value }
+     * @return {Promise}
+     *      resolved with the updated record, or null if we don't have it.
+     */
+    resolveConflict(uuid, values) {
+        return this.transaction((tx) => {
+            return Promise.all([
+                tx.get(this.refRecord(uuid)),
+                tx.get(this.refBase(uuid)),
+                tx.get(this.refConflict(uuid))
+            ]).then((found) => {
+                var record = found[0];
+                var base = found[1];
+                var stored = found[2];
+                if (!record) return null;
+
+                var fields = (stored && stored.fields) || {};
+                var saves = [];
+
+                // compare with the server's current values from now on
+                base = base || Object.assign({}, record);
+                Object.keys(values).forEach((name) => {
+                    if (fields[name]) {
+                        base[name] = fields[name].remote;
+                        delete fields[name];
                     }
-                    // allObjects = allObjects.filter((o)=>{ return o.uuid != id;});
+                    record[name] = values[name];
+                });
+                saves.push(tx.set(this.refBase(uuid), base));
+
+                if (Object.keys(fields).length) {
+                    saves.push(tx.set(this.refConflict(uuid), stored));
                 } else {
-                    var PK = this.object.PK();
-
-                    // search the objects and remove one with matching PK
-                    var newList = {};
-                    for (var o in allObjects) {
-                        var obj = allObjects[o];
-                        if (obj[PK] != id) {
-                            newList[obj[UUID]] = obj;
+                    saves.push(tx.clear(this.refConflict(uuid)));
+                }
+                saves.push(this.saveRecord(uuid, record, tx));
+
+                return Promise.all(saves)
+                    .then(() => {
+                        return this.saveSyncPending(
+                            uuid,
+                            record[this.object.PK()],
+                            "update",
+                            tx
+                        );
+                    })
+                    .then(() => {
+                        return record;
+                    });
+            });
+        });
+    }
+
+    /**
+     * hashRecords()
+     * return stored data as a { uuid: {obj} } hash.  Data saved by older
+     * versions may be an array of records.
+     * @param {obj|array} data
+     * @return {obj}
+     */
+    hashRecords(data) {
+        if (!Array.isArray(data)) return data;
+
+        var records = {};
+        data.forEach((obj) => {
+            var UUID = this.object.fieldUUID(obj);
+            if (obj[UUID]) {
+                records[obj[UUID]] = obj;
+            }
+        });
+        return records;
+    }
+
+    // isLocalEdit: the record is created on this device, not the server
+    localStorageCreate(data, isLocalEdit) {
+        var UUID = this.object.fieldUUID(data);
+
+        return this.transaction((tx) => {
+            var key = this.refRecord(data[UUID]);
+            return Promise.all([tx.get(key), this.tombstones(tx)]).then(
+                (found) => {
+                    var ours = found[0];
+
+                    // we have deleted it, and are waiting for the server to
+                    // confirm
+                    if (this.isListed(data, found[1])) return;
+
+                    // if current data item is not stored, add it:
+                    ours = ours || data;
+
+                    // make sure our copy of the data has all the fields in
+                    // the incoming data:
+                    for (var d in data) {
+                        // Question: do we store __relation  fields?
+                        // if (d.indexOf('__relation') == -1) {
+
+                        if (!ours[d]) {
+                            ours[d] = data[d];
                         }
+                        // }
                     }
-                    allObjects = newList;
+
+                    var saving = this.saveRecord(data[UUID], ours, tx);
+                    if (isLocalEdit) {
+                        saving = saving.then(() => {
+                            return this.saveSyncPending(
+                                data[UUID],
+                                ours[this.object.PK()],
+                                "create",
+                                tx
+                            );
+                        });
+                    }
+                    return saving;
                 }
+            );
+        }).catch((err) => {
+            console.error("!!! error trying to create object:", err);
+        });
+    }
 
-                return this.saveLocalData(allObjects);
-            })
-            .then((returnValue) => {
-                // console.log('--- '+this.refStorage()+'.localStorageDestroy end', data);
-                lock.release();
-                return returnValue;
-            })
-            .catch((err) => {
-                console.error("!!! error trying to delete object:", err);
-                lock.release();
+    /**
+     * localStorageDestroy()
+     * remove a record by its uuid or PK.
+     * @param {string|int} id
+     * @param {bool} [isLocalDelete]
+     *      the record is deleted on this device: leave a tombstone, so it
+     *      isn't added back before the server has deleted it too.
+     * @param {StorageTransaction} [tx]  save as part of this transaction
+     * @return {Promise}
+     */
+    localStorageDestroy(id, isLocalDelete, tx) {
+        return this.transaction((tx) => {
+            var PK = this.object.PK();
+            var finding;
+
+            // if this is a UUID:
+            if (isNaN(parseInt(id)) || (id.indexOf && id.indexOf("-") > -1)) {
+                finding = this.getRecords([id], tx).then((records) => {
+                    var found = {};
+                    found[id] = records[id] || {};
+                    return found;
+                });
+            } else {
+                // the ones with matching PK
+                finding = this.index(PK)
+                    .uuids(id, tx)
+                    .then((uuids) => {
+                        return this.getRecords(uuids, tx);
+                    })
+                    .then((records) => {
+                        var found = {};
+                        Object.keys(records).forEach((uuid) => {
+                            if (records[uuid][PK] == id) {
+                                found[uuid] = records[uuid];
+                            }
+                        });
+                        return found;
+                    });
+            }
+
+            return finding.then((found) => {
+                var uuids = Object.keys(found);
+                var removes = uuids.map((uuid) => {
+                    return this.clearRecord(uuid, tx);
+                });
+                if (!isLocalDelete) return Promise.all(removes);
+
+                var deleted = uuids.map((uuid) => {
+                    return { uuid: uuid, pk: found[uuid][PK] };
+                });
+                // one we don't have, by its PK
+                if (uuids.length == 0) {
+                    deleted.push({ uuid: null, pk: id });
+                }
+                deleted.forEach((d) => {
+                    removes.push(this.saveTombstone(d.uuid, d.pk, tx));
+                    removes.push(
+                        this.saveSyncPending(d.uuid, d.pk, "delete", tx)
+                    );
+                });
+                return Promise.all(removes);
+            });
+        }, tx).catch((err) => {
+            console.error("!!! error trying to delete object:", err);
+        });
+    }
+
+    /**
+     * tombstones()
+     * the records we have deleted that the server hasn't confirmed yet.
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     *      resolved with an [array] of { uuid, pk, time }
+     */
+    tombstones(tx) {
+        return tx.getPrefix(this.refTombstonePrefix()).then((stored) => {
+            return Object.keys(stored)
+                .map((key) => {
+                    return stored[key];
+                })
+                .filter((tombstone) => {
+                    return tombstone;
+                });
+        });
+    }
+
+    /**
+     * isListed()
+     * is data one of the records in a list of { uuid, pk } entries, like
+     * our tombstones()?
+     * @param {obj} data
+     * @param {array} entries
+     * @return {bool}
+     */
+    isListed(data, entries) {
+        if (entries.length == 0) return false;
+
+        var uuid = data[this.object.fieldUUID(data)];
+        var pk = data[this.object.PK()];
+        return entries.some((entry) => {
+            if (uuid && entry.uuid == uuid) return true;
+            return (
+                !ABModelLocalQuery.isEmpty(pk) &&
+                !ABModelLocalQuery.isEmpty(entry.pk) &&
+                String(entry.pk) == String(pk)
+            );
+        });
+    }
+
+    /**
+     * saveTombstone()
+     * remember a record we have deleted, until the server confirms it or
+     * TOMBSTONE_TTL has passed.
+     * @param {string} uuid  (null if we only know its PK)
+     * @param {string|int} pk
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    saveTombstone(uuid, pk, tx) {
+        if (!uuid && ABModelLocalQuery.isEmpty(pk)) return Promise.resolve();
+
+        return tx.set(
+            this.refTombstone(uuid || pk),
+            { uuid: uuid || null, pk: pk, time: Date.now() },
+            { ttl: TOMBSTONE_TTL }
+        );
+    }
+
+    /**
+     * clearTombstones()
+     * the server has deleted the record with this uuid or PK, so it may be
+     * stored again.
+     * @param {string|int} id
+     * @return {Promise}
+     */
+    clearTombstones(id) {
+        return this.transaction((tx) => {
+            var data = {};
+            data[this.object.PK()] = id;
+            return tx.getPrefix(this.refTombstonePrefix()).then((stored) => {
+                return Promise.all(
+                    Object.keys(stored)
+                        .filter((key) => {
+                            return (
+                                stored[key] &&
+                                this.isListed(data, [stored[key]])
+                            );
+                        })
+                        .map((key) => {
+                            return tx.clear(key);
+                        })
+                );
+            });
+        }).catch((err) => {
+            console.error("!!! error trying to clear tombstones:", err);
+        });
+    }
+
+    /**
+     * saveSyncPending()
+     * note a change made on this device, which is being sent to the server.
+     * @param {string} uuid  (null if we only know its PK)
+     * @param {string|int} pk
+     * @param {string} action  "create", "update" or "delete"
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    saveSyncPending(uuid, pk, action, tx) {
+        if (!uuid && ABModelLocalQuery.isEmpty(pk)) return Promise.resolve();
+
+        var key = this.refSync(uuid || pk);
+        return tx.get(key).then((state) => {
+            state = state || {
+                uuid: uuid || null,
+                pk: null,
+                action: action,
+                pending: 0,
+                error: null
+            };
+            // a record created here stays a create until the server has it
+            if (state.action != "create" || action == "delete") {
+                state.action = action;
+            }
+            if (!ABModelLocalQuery.isEmpty(pk)) state.pk = pk;
+            state.pending++;
+            state.time = Date.now();
+            return tx.set(key, state);
+        });
+    }
+
+    /**
+     * syncResponse()
+     * the server has answered one of the changes we sent for a record.  Once
+     * it has answered them all without an error, the record is synced.
+     * @param {string|int} id  the record's uuid or PK
+     * @param {obj} [error]  the error the server sent back, if any
+     * @return {Promise}
+     */
+    syncResponse(id, error) {
+        return this.transaction((tx) => {
+            var data = {};
+            data[this.object.PK()] = id;
+            return tx.getPrefix(this.refSyncPrefix()).then((stored) => {
+                return Promise.all(
+                    Object.keys(stored)
+                        .filter((key) => {
+                            return (
+                                stored[key] &&
+                                this.isListed(data, [stored[key]])
+                            );
+                        })
+                        .map((key) => {
+                            var state = stored[key];
+                            state.pending = Math.max(0, state.pending - 1);
+                            state.error = error || null;
+                            if (state.pending == 0 && !state.error) {
+                                return tx.clear(key);
+                            }
+                            return tx.set(key, state);
+                        })
+                );
             });
+        }).catch((err) => {
+            console.error("!!! error trying to save sync state:", err);
+        });
+    }
+
+    /**
+     * syncState()
+     * has a record's changes reached the server?
+     * @param {string} uuid
+     * @return {Promise}
+     *      resolved with
+     *      {
+     *          status: "synced", "pending" or "failed",
+     *          action: "create", "update" or "delete" (null when synced),
+     *          error: {obj} the server's error when failed
+     *      }
+     */
+    syncState(uuid) {
+        return this.transaction((tx) => {
+            return tx.get(this.refSync(uuid));
+        }).then((state) => {
+            return {
+                status: ABModelLocal.syncStatus(state),
+                action: state ? state.action : null,
+                error: state ? state.error : null
+            };
+        });
+    }
+
+    /**
+     * unsynced()
+     * list the records changed on this device that the server doesn't have
+     * yet, or has refused.
+     * @return {Promise}
+     *      resolved with an [array] of
+     *      {
+     *          uuid: {string}, pk: {string|int},
+     *          status: "pending" or "failed",
+     *          action: "create", "update" or "delete",
+     *          error: {obj},
+     *          time: {int} when it was last changed,
+     *          record: {obj} our record, or null if it was deleted
+     *      }
+     *      oldest first.
+     */
+    unsynced() {
+        return this.transaction((tx) => {
+            return tx.getPrefix(this.refSyncPrefix()).then((stored) => {
+                var list = Object.keys(stored)
+                    .map((key) => {
+                        return stored[key];
+                    })
+                    .filter((state) => {
+                        return state;
+                    });
+                var uuids = list
+                    .map((state) => {
+                        return state.uuid;
+                    })
+                    .filter((uuid) => {
+                        return uuid;
+                    });
+                return this.getRecords(uuids, tx).then((records) => {
+                    return list.map((state) => {
+                        return Object.assign({}, state, {
+                            status: ABModelLocal.syncStatus(state),
+                            record: records[state.uuid] || null
+                        });
+                    });
+                });
+            });
+        }).then((list) => {
+            return list.sort((a, b) => {
+                return a.time - b.time;
+            });
+        });
     }
 
     // make sure we locally store these values
@@ -244,51 +1048,75 @@ module.exports = class ABModelLocal extends ABModelCore {
     }
 
     // update an entry IF WE CURRENTLY track it locally
-    localStorageUpdate(data) {
+    // isLocalEdit: the values come from this device, not the server
+    localStorageUpdate(data, isLocalEdit) {
         var UUID = this.object.fieldUUID(data);
 
         // we can't resolve this entry if it doesn't have our UUID
         if (!data[UUID]) return Promise.resolve();
 
-        var lock = this.lock();
-        return lock
-            .acquire()
-            .then(() => {
-                // console.log('--- '+this.refStorage()+'.localStorageUpdate start', data);
-                return this.getLocalData();
-            })
-            .then((allObjects) => {
-                //// TODO:  be smarter here.  just because we get updated of an updated
-                //// value from the server, doesn't mean it's more important than our value.
+        return this.transaction((tx) => {
+            var uuid;
+            return this.findUUID(data, tx)
+                .then((_uuid) => {
+                    uuid = _uuid;
+                    if (!uuid) return [];
+                    return Promise.all([
+                        tx.get(this.refRecord(uuid)),
+                        tx.get(this.refBase(uuid))
+                    ]);
+                })
+                .then((found) => {
+                    var foundEntry = found[0];
+                    var base = found[1];
+
+                    // if current data item is currently one we track
+                    if (!foundEntry) return;
+
+                    // an update from the server to a record we have
+                    // edited: don't lose our changes
+                    if (base && !isLocalEdit) {
+                        return this.mergeEdited(
+                            uuid,
+                            foundEntry,
+                            data,
+                            base,
+                            "local",
+                            tx
+                        );
+                    }
 
-                // if current data item is currently one we track
-                var foundEntry = null;
-                for (var o in allObjects) {
-                    if (allObjects[o].uuid == data[UUID]) {
-                        foundEntry = allObjects[o];
+                    // keep the server's copy from before our first edit
+                    var saving = Promise.resolve();
+                    if (isLocalEdit && !base) {
+                        saving = tx.set(
+                            this.refBase(uuid),
+                            Object.assign({}, foundEntry)
+                        );
                     }
-                }
-                if (foundEntry) {
+
                     // update currentValue with the values provided in data
                     for (var d in data) {
                         foundEntry[d] = data[d];
                     }
-                }
-
-                return allObjects;
-            })
-            .then((allObjects) => {
-                return this.saveLocalData(allObjects);
-            })
-            .then((returnValue) => {
-                // console.log('--- '+this.refStorage()+'.localStorageUpdate end', data);
-                lock.release();
-                return returnValue;
-            })
-            .catch((err) => {
-                console.error("!!! error trying to update object:", err);
-                lock.release();
-            });
+                    return saving
+                        .then(() => {
+                            return this.saveRecord(uuid, foundEntry, tx);
+                        })
+                        .then(() => {
+                            if (isLocalEdit) {
+                                return this.saveSyncPending(
+                                    uuid,
+                                    foundEntry[this.object.PK()],
+                                    "update",
+                                    tx
+                                );
+                            }
+                        });
+                });
+        }).catch((err) => {
+            console.error("!!! error trying to update object:", err);
+        });
     }
 
     /**
@@ -302,7 +1130,7 @@ module.exports = class ABModelLocal extends ABModelCore {
         var UUID = this.object.fieldUUID(values);
         if (!values[UUID]) values[UUID] = this.object.application.uuid();
 
-        return this.localStorageCreate(values);
+        return this.localStorageCreate(values, true);
     }
 
     /**
@@ -312,23 +1140,63 @@ module.exports = class ABModelLocal extends ABModelCore {
      * @return {Promise}
      */
     delete(id) {
-        return this.localStorageDestroy(id);
+        return this.localStorageDestroy(id, true);
     }
 
     /**
      * @method findAll
      * performs a data find with the provided condition.
+     * @param {obj} cond
+     *      { where, sort, skip, limit }  see ABModelLocalQuery
+     *      populate: {bool|array} fill in the connected records of these
+     *                connect fields (true for all of them).
+     *                See ABModelLocalRelations
+     *      A query's rows are computed from the records of the objects it
+     *      joins.  See ABModelLocalJoins
+     * @param {StorageTransaction} [tx]  read as part of this transaction
+     * @return {Promise}
      */
-    findAll(cond) {
+    findAll(cond, tx) {
         cond = cond || {};
 
-        var lock = this.lock();
-        return lock
-            .acquire()
-            .then(() => {
-                // console.log('--- '+this.refStorage()+'.localStorageUpdate start', data);
-                return this.getLocalData();
-            })
+        var joins = this.object.importJoins
+            ? new ABModelLocalJoins(this.object)
+            : null;
+        if (joins && joins.isSupported()) {
+            return this.transaction((tx) => {
+                return this.getLocalData(tx);
+            }, tx)
+                .then((stored) => {
+                    var values = Object.keys(stored).map((uuid) => {
+                        return stored[uuid];
+                    });
+                    this.normalizeData(values);
+                    return joins.find(values, cond);
+                })
+                .catch((err) => {
+                    console.error("!!! error trying to findAll():", err);
+                });
+        }
+
+        return this.transaction((tx) => {
+            // only load the records that can match, if we can
+            var rule = new ABModelLocalQuery(this.object).indexRule(
+                cond.where,
+                this.indexColumns()
+            );
+            if (!rule) {
+                return this.getLocalData(tx);
+            }
+
+            var index = this.index(rule.column);
+            return Promise.all(
+                rule.values.map((value) => {
+                    return index.uuids(value, tx);
+                })
+            ).then((found) => {
+                return this.getRecords([].concat.apply([], found), tx);
+            });
+        }, tx)
             .then((allObjects) => {
                 // expecting allObjects to be a hash of values:
                 // {
@@ -338,22 +1206,85 @@ module.exports = class ABModelLocal extends ABModelCore {
 
                 var values = [];
                 for (var o in allObjects) {
-                    //// TODO: make sure allObjects[o]  passes the given condition before adding here:
                     values.push(allObjects[o]);
                 }
+
+                // normalize first, so multilingual fields are compared in
+                // the current language
                 this.normalizeData(values);
-                return values;
-            })
-            .then((returnValues) => {
-                lock.release();
-                return returnValues;
+                var results = new ABModelLocalQuery(this.object).find(
+                    values,
+                    cond
+                );
+                return new ABModelLocalRelations(this.object).populate(
+                    results,
+                    cond.populate
+                );
             })
             .catch((err) => {
                 console.error("!!! error trying to findAll():", err);
-                lock.release();
             });
     }
 
+    /**
+     * search()
+     * find our records by the words in them, without the network.  See
+     * ABModelLocalSearch
+     * @param {string} text  the words, or beginnings of words, to find
+     * @param {obj} [options]
+     *      { limit: {int} }
+     * @return {Promise}
+     *      resolved with an [array] of the matching records, best match
+     *      first.
+     */
+    search(text, options) {
+        options = options || {};
+
+        var index = this.indexes().find((index) => {
+            return index instanceof ABModelLocalSearch;
+        });
+        if (!index) return Promise.resolve([]);
+
+        return this.transaction((tx) => {
+            return index.uuids(text, tx).then((uuids) => {
+                uuids = new ABModelLocalQuery(this.object).page(
+                    uuids,
+                    0,
+                    options.limit
+                );
+                return this.getRecords(uuids, tx).then((records) => {
+                    return uuids
+                        .map((uuid) => {
+                            return records[uuid];
+                        })
+                        .filter((record) => {
+                            return record;
+                        });
+                });
+            });
+        }).then((records) => {
+            this.normalizeData(records);
+            return records;
+        });
+    }
+
+    /**
+     * observe()
+     * keep the results of a findAll() up to date as our records change,
+     * here or from the server.  See ABModelLocalObserver
+     * @param {obj} cond  see findAll()
+     * @param {fn} callback
+     *      callback({ added, changed, removed, rows }), first with all the
+     *      results as added, then with each change to them.
+     * @return {ABModelLocalObserver}
+     *      call .stop() when the results aren't needed anymore.
+     */
+    observe(cond, callback) {
+        var observer = new ABModelLocalObserver(this, cond, callback);
+        observer.start();
+        return observer;
+    }
+
     /**
      * @method update
      * update model values on the server.
@@ -371,7 +1302,7 @@ module.exports = class ABModelLocal extends ABModelCore {
             values.uuid = id;
         }
 
-        return this.localStorageUpdate(values).then((data) => {
+        return this.localStorageUpdate(values, true).then((data) => {
             this.normalizeData(data);
 
             return data;
@@ -388,27 +1319,14 @@ module.exports = class ABModelLocal extends ABModelCore {
     doesExist(data) {
         var UUID = this.object.fieldUUID(data);
 
-        var foundEntry = null;
-
-        var lock = this.lock();
-        return lock
-            .acquire()
-            .then(() => {
-                // console.log('--- '+this.refStorage()+'.localStorageStore start', allData);
-                return this.getLocalData();
-            })
-            .then((allObjects) => {
-                foundEntry = allObjects[data[UUID]];
-                return foundEntry ? true : false;
-            })
-            .then((returnValue) => {
-                // console.log('--- '+this.refStorage()+'.localStorageStore end', allData);
-                lock.release();
-                return returnValue;
+        return this.transaction((tx) => {
+            return this.findUUID(data, tx);
+        })
+            .then((uuid) => {
+                return uuid ? true : false;
             })
             .catch((err) => {
                 console.error("!!! error trying to read object:", err);
-                lock.release();
             });
     }
 
@@ -424,30 +1342,33 @@ module.exports = class ABModelLocal extends ABModelCore {
      * is returned.
      *
      * @param {array} data
+     * @param {StorageTransaction} [tx]  save as part of this transaction
      * @return {Promise}
      *		returns a normalized set of data for this object
      */
-    syncLocalMaster(data) {
-        return new Promise((resolve, reject) => {
-            // we are being given data from the server
-            // but our local data could be more relevant
-
-            // v0.1 initial sync logic
-            // save new items, update only newer copies
-            this.saveNew(data)
-                .then(() => {
-                    //// TODO: consider a more github like approach that would allow us
-                    //// to merge changes together during this process.
-
-                    return this.updateNewer(data);
-                })
-                .then(() => {
-                    // normalize our data before we return it
-                    this.normalizeData(data);
-                    return data;
-                })
-                .then(resolve)
-                .catch(reject);
+    syncLocalMaster(data, tx) {
+        // we are being given data from the server
+        // but our local data could be more relevant
+
+        // v0.1 initial sync logic
+        // save new items, update only newer copies
+        return this.transaction((tx) => {
+            return this.mergeRecords(
+                data,
+                (records, data) => {
+                    this.mergeNew(records, data);
+                    this.mergeNewer(records, data);
+                },
+                tx,
+                "local"
+            );
+        }, tx).then((merged) => {
+            // not the records we have deleted
+            if (Array.isArray(data)) data = merged;
+
+            // normalize our data before we return it
+            this.normalizeData(data);
+            return data;
         });
     }
 
@@ -458,70 +1379,162 @@ module.exports = class ABModelLocal extends ABModelCore {
      * data.
      *
      * @param {array} data
+     * @param {StorageTransaction} [tx]  save as part of this transaction
      * @return {Promise}
      *		returns a normalized set of data for this object
      */
-    syncRemoteMaster(data) {
-        return new Promise((resolve, reject) => {
-            // this means that we should use whatever the remote gave us:
-            // save new items, then replace existing ones
-            this.saveNew(data)
-                .then(() => {
-                    return this.updateExisting(data);
-                })
-                .then(() => {
-                    // normalize our data before we return it
-                    this.normalizeData(data);
-                    return data;
-                })
-                .then(resolve)
-                .catch(reject);
+    syncRemoteMaster(data, tx) {
+        // this means that we should use whatever the remote gave us:
+        // save new items, then replace existing ones
+        return this.transaction((tx) => {
+            return this.mergeRecords(
+                data,
+                (records, data) => {
+                    this.mergeNew(records, data);
+                    this.mergeExisting(records, data);
+                },
+                tx,
+                "remote"
+            );
+        }, tx).then((merged) => {
+            // not the records we have deleted
+            if (Array.isArray(data)) data = merged;
+
+            // normalize our data before we return it
+            this.normalizeData(data);
+            return data;
         });
     }
 
     /**
-     * saveNew()
-     * only save new entries from the provided set of data.
-     * @param {array} allData
+     * syncDelta()
+     * merge the response to a "changed since" find (see ABModelRelay.findAll()):
+     *      {
+     *          changed: [ {records} changed on the server since the watermark ],
+     *          deleted: [ ids of the records deleted since then ],
+     *          syncDate: {string} the server's time of this response
+     *      }
+     * and save syncDate as the new watermark of the data collection (or
+     * object) that asked.
+     * @param {obj} delta
+     * @param {obj} context  the response context
+     * @param {string} prefer
+     *      "remote" to merge like syncRemoteMaster(), "local" like
+     *      syncLocalMaster()
+     * @param {StorageTransaction} [tx]  save as part of this transaction
      * @return {Promise}
+     *      resolved with the normalized changed records
      */
-    saveNew(allData) {
-        if (!Array.isArray(allData)) allData = [allData];
+    syncDelta(delta, context, prefer, tx) {
+        return this.transaction((tx) => {
+            var merge =
+                prefer == "local"
+                    ? this.syncLocalMaster(delta.changed, tx)
+                    : this.syncRemoteMaster(delta.changed, tx);
+            return merge.then((changed) => {
+                return Promise.all(
+                    (delta.deleted || []).map((id) => {
+                        return this.localStorageDestroy(id, false, tx);
+                    })
+                )
+                    .then(() => {
+                        if (!context.delta || !delta.syncDate) return;
+                        return this.saveWatermark(
+                            context.id,
+                            context.delta.where,
+                            delta.syncDate,
+                            tx
+                        );
+                    })
+                    .then(() => {
+                        return changed;
+                    });
+            });
+        }, tx);
+    }
 
-        var lock = this.lock();
-        return lock
-            .acquire()
-            .then(() => {
-                // console.log('--- '+this.refStorage()+'.localStorageStore start', allData);
-                return this.getLocalData();
-            })
-            .then((allObjects) => {
-                allData.forEach((data) => {
-                    var UUID = this.object.fieldUUID(data);
+    /**
+     * watermark()
+     * the date to ask the server for changes since, for a find made by a
+     * data collection (or the object itself).
+     * @param {string} id  the id in the response context of the find
+     * @param {obj} cond  the find condition
+     * @return {Promise}
+     *      resolved with the date, or null if everything has to be loaded:
+     *      the first time, or after the condition has changed.
+     */
+    watermark(id, cond) {
+        if (!id || !ABModelLocal.isDeltaFind(cond)) {
+            return Promise.resolve(null);
+        }
+        return storage.get(this.refWatermark(id)).then((watermark) => {
+            if (
+                !watermark ||
+                watermark.where != JSON.stringify(cond.where || null)
+            ) {
+                return null;
+            }
+            return watermark.date;
+        });
+    }
 
-                    // if data doesn't have our UUID we can't track it:
-                    if (!data[UUID]) return;
+    /**
+     * saveWatermark()
+     * @param {string} id  the id in the response context of the find
+     * @param {obj} where  the condition of the find
+     * @param {string} date
+     *      the server's time of the response, or for a response with all
+     *      the records, of the request.  See ABModelRelay.findAll()
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    saveWatermark(id, where, date, tx) {
+        if (!id) return Promise.resolve();
+        return tx.set(this.refWatermark(id), {
+            where: JSON.stringify(where || null),
+            date: date
+        });
+    }
 
-                    // if entry doesn't already exist, then add it:
-                    if (!allObjects[data[UUID]]) {
-                        allObjects[data[UUID]] = data;
-                    }
-                });
+    /**
+     * A find can ask for only the changes since its watermark when it loads
+     * every record that matches its condition, not a page of them.
+     * @param {obj} cond
+     * @return {bool}
+     */
+    static isDeltaFind(cond) {
+        cond = cond || {};
+        return !parseInt(cond.skip) && isNaN(parseInt(cond.limit));
+    }
 
-                return allObjects;
-            })
-            .then((allObjects) => {
-                return this.saveLocalData(allObjects);
-            })
-            .then((returnValue) => {
-                // console.log('--- '+this.refStorage()+'.localStorageStore end', allData);
-                lock.release();
-                return returnValue;
-            })
-            .catch((err) => {
-                console.error("!!! error trying to store object:", err);
-                lock.release();
-            });
+    /**
+     * Is the response to a find the changes since a watermark, instead of
+     * a list of records?  See syncDelta().
+     * @param {*} data
+     * @return {bool}
+     */
+    static isDelta(data) {
+        return !!(data && !Array.isArray(data) && Array.isArray(data.changed));
+    }
+
+    /**
+     * saveNew()
+     * only save new entries from the provided set of data.
+     * @param {array} allData
+     * @return {Promise}
+     */
+    saveNew(allData) {
+        return this.transaction((tx) => {
+            return this.mergeRecords(
+                allData,
+                (records, allData) => {
+                    this.mergeNew(records, allData);
+                },
+                tx
+            );
+        }).catch((err) => {
+            console.error("!!! error trying to store object:", err);
+        });
     }
 
     /**
@@ -531,42 +1544,18 @@ module.exports = class ABModelLocal extends ABModelCore {
      * @return {Promise}
      */
     updateExisting(allData) {
-        if (!Array.isArray(allData)) allData = [allData];
-
-        var lock = this.lock();
-        return lock
-            .acquire()
-            .then(() => {
-                // console.log('--- '+this.refStorage()+'.localStorageStore start', allData);
-                return this.getLocalData();
-            })
-            .then((allObjects) => {
-                allData.forEach((data) => {
-                    var UUID = this.object.fieldUUID(data);
-
-                    // if data doesn't have our UUID we can't track it:
-                    if (!data[UUID]) return;
-
-                    // if entry DOES exist, then overwrite it:
-                    if (allObjects[data[UUID]]) {
-                        allObjects[data[UUID]] = data;
-                    }
-                });
-
-                return allObjects;
-            })
-            .then((allObjects) => {
-                return this.saveLocalData(allObjects);
-            })
-            .then((returnValue) => {
-                // console.log('--- '+this.refStorage()+'.localStorageStore end', allData);
-                lock.release();
-                return returnValue;
-            })
-            .catch((err) => {
-                console.error("!!! error trying to store object:", err);
-                lock.release();
-            });
+        return this.transaction((tx) => {
+            return this.mergeRecords(
+                allData,
+                (records, allData) => {
+                    this.mergeExisting(records, allData);
+                },
+                tx,
+                "remote"
+            );
+        }).catch((err) => {
+            console.error("!!! error trying to store object:", err);
+        });
     }
 
     /**
@@ -577,52 +1566,255 @@ module.exports = class ABModelLocal extends ABModelCore {
      * @return {Promise}
      */
     updateNewer(allData) {
+        return this.transaction((tx) => {
+            return this.mergeRecords(
+                allData,
+                (records, allData) => {
+                    this.mergeNewer(records, allData);
+                },
+                tx,
+                "local"
+            );
+        }).catch((err) => {
+            console.error("!!! error trying to store object:", err);
+        });
+    }
+
+    /**
+     * mergeNew()
+     * add the entries that we don't already have to allObjects.
+     * @param {obj} allObjects  a hash of the data, as from getLocalData()
+     * @param {array} allData
+     */
+    mergeNew(allObjects, allData) {
         if (!Array.isArray(allData)) allData = [allData];
 
-        var lock = this.lock();
-        return lock
-            .acquire()
-            .then(() => {
-                // console.log('--- '+this.refStorage()+'.localStorageStore start', allData);
-                return this.getLocalData();
-            })
-            .then((allObjects) => {
-                allData.forEach((data) => {
-                    var UUID = this.object.fieldUUID(data);
+        allData.forEach((data) => {
+            var UUID = this.object.fieldUUID(data);
 
-                    // if data doesn't have our UUID we can't track it:
-                    if (!data[UUID]) return;
+            // if data doesn't have our UUID we can't track it:
+            if (!data[UUID]) return;
 
-                    // if data doesn't have an updated_at field, we can't sync it
-                    if (typeof data.updated_at == "undefined") return;
+            // if entry doesn't already exist, then add it:
+            if (!allObjects[data[UUID]]) {
+                allObjects[data[UUID]] = data;
+            }
+        });
+    }
 
-                    // if entry DOES exist, then
-                    if (allObjects[data[UUID]]) {
-                        // if the new data is later than our current Data
-                        var dataDate = new Date(data.updated_at);
-                        var currDate = new Date(
-                            allObjects[data[UUID]].updated_at
-                        );
-                        if (dataDate > currDate) {
-                            allObjects[data[UUID]] = data;
-                        }
-                    }
-                });
+    /**
+     * mergeExisting()
+     * replace the entries in allObjects that we already have.
+     * @param {obj} allObjects  a hash of the data, as from getLocalData()
+     * @param {array} allData
+     */
+    mergeExisting(allObjects, allData) {
+        if (!Array.isArray(allData)) allData = [allData];
 
-                return allObjects;
-            })
-            .then((allObjects) => {
-                return this.saveLocalData(allObjects);
-            })
-            .then((returnValue) => {
-                // console.log('--- '+this.refStorage()+'.localStorageStore end', allData);
-                lock.release();
-                return returnValue;
+        allData.forEach((data) => {
+            var UUID = this.object.fieldUUID(data);
+
+            // if data doesn't have our UUID we can't track it:
+            if (!data[UUID]) return;
+
+            // if entry DOES exist, then overwrite it:
+            if (allObjects[data[UUID]]) {
+                allObjects[data[UUID]] = data;
+            }
+        });
+    }
+
+    /**
+     * mergeNewer()
+     * replace the entries in allObjects that we already have, IF the given
+     * ones are newer.
+     * @param {obj} allObjects  a hash of the data, as from getLocalData()
+     * @param {array} allData
+     */
+    mergeNewer(allObjects, allData) {
+        if (!Array.isArray(allData)) allData = [allData];
+
+        allData.forEach((data) => {
+            var UUID = this.object.fieldUUID(data);
+
+            // if data doesn't have our UUID we can't track it:
+            if (!data[UUID]) return;
+
+            // if data doesn't have an updated_at field, we can't sync it
+            if (typeof data.updated_at == "undefined") return;
+
+            // if entry DOES exist, then
+            if (allObjects[data[UUID]]) {
+                // if the new data is later than our current Data
+                var dataDate = new Date(data.updated_at);
+                var currDate = new Date(allObjects[data[UUID]].updated_at);
+                if (dataDate > currDate) {
+                    allObjects[data[UUID]] = data;
+                }
+            }
+        });
+    }
+
+    /**
+     * mergeFields()
+     * three-way merge of a record, field by field:
+     *  - a field only changed on one side takes that side's value,
+     *  - a field changed on both sides to different values is a conflict.
+     * Fields the server didn't send keep our value.  The record is only
+     * synced once the server has sent back each field we have changed, with
+     * our value, and there are no conflicts.
+     * @param {obj} base  the server's record before our edits
+     * @param {obj} local  our record
+     * @param {obj} remote  the server's record
+     * @param {string} prefer
+     *      "local" or "remote": which value conflicting fields keep
+     * @return {obj}
+     *      {
+     *          record: {obj} the merged record,
+     *          conflicts: { field: { base, local, remote } },
+     *          isSynced: {bool} the server has all of our changes
+     *      }
+     */
+    mergeFields(base, local, remote, prefer) {
+        var same = ABModelLocal.isSameValue;
+        var record = Object.assign({}, local);
+        var conflicts = {};
+
+        Object.keys(remote).forEach((name) => {
+            var b = base[name];
+            var l = local[name];
+            var r = remote[name];
+
+            if (name == "updated_at") {
+                // the later of the two
+                if (!l || new Date(r) > new Date(l)) record[name] = r;
+            } else if (same(l, r) || same(l, b)) {
+                record[name] = r;
+            } else if (!same(r, b)) {
+                conflicts[name] = { base: b, local: l, remote: r };
+                record[name] = prefer == "remote" ? r : l;
+            }
+        });
+
+        var isSynced =
+            Object.keys(conflicts).length == 0 &&
+            Object.keys(local).every((name) => {
+                if (name == "updated_at" || same(local[name], base[name])) {
+                    return true;
+                }
+                return name in remote && same(local[name], remote[name]);
+            });
+        return { record: record, conflicts: conflicts, isSynced: isSynced };
+    }
+
+    /**
+     * Are two field values the same?  Empty values (null, undefined, "") are
+     * all the same, and 1 is the same as "1".
+     * @param {*} a
+     * @param {*} b
+     * @return {bool}
+     */
+    static isSameValue(a, b) {
+        var isEmpty = (v) => {
+            return v === null || typeof v == "undefined" || v === "";
+        };
+        if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+        if (typeof a == "object" || typeof b == "object") {
+            return JSON.stringify(a) == JSON.stringify(b);
+        }
+        return String(a) == String(b);
+    }
+
+    /**
+     * The sync status of a stored sync state.
+     * @param {obj} state  or null if the record has no changes to send
+     * @return {string}  "synced", "pending" or "failed"
+     */
+    static syncStatus(state) {
+        if (!state) return "synced";
+        if (state.error) return "failed";
+        return "pending";
+    }
+
+    /**
+     * indexColumns()
+     * the columns we keep an index of: our PK, our connected fields, and
+     * any the ABObject lists in .localIndexes.  Plus the full text index of
+     * our text fields, see ABModelLocalSearch.column()
+     * @return {array}
+     */
+    indexColumns() {
+        var columns = [this.object.PK()];
+        this.object
+            .fields((f) => {
+                return f.key == "connectObject";
             })
-            .catch((err) => {
-                console.error("!!! error trying to store object:", err);
-                lock.release();
+            .forEach((f) => {
+                columns.push(f.columnName);
+            });
+        (this.object.localIndexes || []).forEach((key) => {
+            var field = this.object.fields((f) => {
+                return f.id == key || f.columnName == key;
+            })[0];
+            columns.push(field ? field.columnName : key);
+        });
+        // the full text index, see search()
+        if (!this.object.importJoins) {
+            columns.push(ABModelLocalSearch.column(this.object));
+        }
+        return columns.filter((column, i) => {
+            return column && columns.indexOf(column) == i;
+        });
+    }
+
+    /**
+     * indexes()
+     * @return {array}  our ABModelLocalIndex for each of indexColumns()
+     */
+    indexes() {
+        var ref = this.refStorage();
+        var columns = this.indexColumns();
+        var current = _indexes[ref] || [];
+        var isSame =
+            current
+                .map((index) => {
+                    return index.column;
+                })
+                .join(",") == columns.join(",");
+        if (!isSame) {
+            _indexes[ref] = columns.map((column) => {
+                if (ABModelLocalSearch.isColumn(column)) {
+                    return new ABModelLocalSearch(this, column);
+                }
+                return new ABModelLocalIndex(this, column);
             });
+        }
+        return _indexes[ref];
+    }
+
+    /**
+     * index()
+     * @param {string} column
+     * @return {ABModelLocalIndex}  or undefined if column isn't indexed
+     */
+    index(column) {
+        return this.indexes().find((index) => {
+            return index.column == column;
+        });
+    }
+
+    /**
+     * saveIndexes()
+     * write the index changes made in tx.
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    saveIndexes(tx) {
+        return Promise.all(
+            this.indexes().map((index) => {
+                return index.save(tx);
+            })
+        );
     }
 
     refStorage() {
@@ -632,4 +1824,119 @@ module.exports = class ABModelLocal extends ABModelCore {
         }
         return `${prefix}${this.object.name}`;
     }
+
+    /**
+     * refIndexPrefix()
+     * the beginning of the storage keys of our indexes.
+     * @return {string}
+     */
+    refIndexPrefix() {
+        return `${this.refStorage()}#`;
+    }
+
+    /**
+     * storageKeys()
+     * the storage keys that hold our data.
+     * @return {array}
+     *      keys, or key prefixes ending in "*"
+     */
+    storageKeys() {
+        return [
+            this.refStorage(),
+            `${this.refRecordPrefix()}*`,
+            `${this.refIndexPrefix()}*`,
+            `${this.refBasePrefix()}*`,
+            `${this.refConflictPrefix()}*`,
+            `${this.refTombstonePrefix()}*`,
+            `${this.refSyncPrefix()}*`,
+            `${this.refWatermarkPrefix()}*`
+        ];
+    }
+
+    /**
+     * refBasePrefix()
+     * the beginning of the storage keys of the server's copies of records we
+     * have edited.
+     * @return {string}
+     */
+    refBasePrefix() {
+        return `${this.refStorage()}~`;
+    }
+
+    refBase(uuid) {
+        return `${this.refBasePrefix()}${uuid}`;
+    }
+
+    /**
+     * refConflictPrefix()
+     * the beginning of the storage keys of our records' merge conflicts.
+     * @return {string}
+     */
+    refConflictPrefix() {
+        return `${this.refStorage()}!`;
+    }
+
+    refConflict(uuid) {
+        return `${this.refConflictPrefix()}${uuid}`;
+    }
+
+    /**
+     * refTombstonePrefix()
+     * the beginning of the storage keys of the records we have deleted.
+     * @return {string}
+     */
+    refTombstonePrefix() {
+        return `${this.refStorage()}^`;
+    }
+
+    refTombstone(id) {
+        return `${this.refTombstonePrefix()}${id}`;
+    }
+
+    /**
+     * refSyncPrefix()
+     * the beginning of the storage keys of the sync states of records
+     * changed on this device.
+     * @return {string}
+     */
+    refSyncPrefix() {
+        return `${this.refStorage()}@`;
+    }
+
+    refSync(id) {
+        return `${this.refSyncPrefix()}${id}`;
+    }
+
+    /**
+     * refWatermarkPrefix()
+     * the beginning of the storage keys of the dates our data was last
+     * loaded from the server.
+     * @return {string}
+     */
+    refWatermarkPrefix() {
+        return `${this.refStorage()}%`;
+    }
+
+    refWatermark(id) {
+        return `${this.refWatermarkPrefix()}${id}`;
+    }
+
+    /**
+     * refRecordPrefix()
+     * the beginning of the storage keys of our records.
+     * @return {string}
+     */
+    refRecordPrefix() {
+        return `${this.refStorage()}/`;
+    }
+
+    /**
+     * refRecord()
+     * the storage key of one of our records.
+     * @param {string} uuid
+     * @return {string}
+     */
+    refRecord(uuid) {
+        return `${this.refRecordPrefix()}${uuid}`;
+    }
 };
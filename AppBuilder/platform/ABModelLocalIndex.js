@@ -0,0 +1,365 @@
+/**
+ * ABModelLocalIndex
+ *
+ * A secondary index of one column of the records an ABModelLocal stores.
+ *
+ * It is stored in BUCKETS pieces, under "<model.refStorage()>#<column>/<n>",
+ * each one holding
+ *      { value: [uuid, ...] }
+ * for the values that bucketOf() puts in it.  A save() only rewrites the
+ * pieces that changed.
+ *
+ * The index is updated by the model in the same transaction as the records.
+ * The changes of a transaction are kept apart until it is committed, so other
+ * transactions, and reads outside of one, see the committed index.
+ *
+ * Values are normalized by keysOf(), so a lookup returns every record that
+ * might match.  Callers still check the records themselves.
+ */
+
+var storage = require("../../resources/Storage").storage;
+
+// the number of pieces an index is stored in
+var BUCKETS = 32;
+
+module.exports = class ABModelLocalIndex {
+    /**
+     * @param {ABModelLocal} model
+     * @param {string} column
+     */
+    constructor(model, column) {
+        this.model = model;
+        this.column = column;
+
+        // the committed index:
+        // {
+        //      mark: {string} storage.writeMark() when it was loaded,
+        //      values: { value: [uuid] },
+        //      byUUID: { uuid: [value] },
+        //      isDirty: {bool} changed since the last save(),
+        //      changed: { bucket: true } written by the next save(),
+        //      isRebuilt: {bool} every bucket is written by the next save()
+        // }
+        this._state = null;
+
+        // the index as changed by each transaction that hasn't been
+        // committed yet: { StorageTransaction : {state} }
+        this._pending = new WeakMap();
+    }
+
+    /**
+     * load()
+     * @param {StorageTransaction} [tx]
+     * @return {Promise}
+     *      resolved with the loaded state, as seen by tx.
+     */
+    load(tx) {
+        // changes made in this transaction
+        if (tx && this._pending.has(tx)) {
+            return Promise.resolve(this._pending.get(tx));
+        }
+
+        // unchanged since it was loaded
+        var prefix = this.refBucketPrefix();
+        var mark = storage.writeMarkPrefix(prefix);
+        if (this._state && this._state.mark == mark) {
+            return Promise.resolve(this._state);
+        }
+
+        return (tx || storage).getPrefix(prefix).then((buckets) => {
+            if (tx && this._pending.has(tx)) {
+                return this._pending.get(tx);
+            }
+            var values = {};
+            Object.keys(buckets).forEach((key) => {
+                Object.assign(values, buckets[key]);
+            });
+            this._state = this.constructor.state(values, mark);
+            return this._state;
+        });
+    }
+
+    /**
+     * change()
+     * the state to make tx's changes to: a copy of the committed one, the
+     * first time.
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    change(tx) {
+        return this.load(tx).then((state) => {
+            if (!this._pending.has(tx)) {
+                state = this.constructor.state(
+                    JSON.parse(JSON.stringify(state.values)),
+                    null
+                );
+                this.begin(state, tx);
+            }
+            return this._pending.get(tx);
+        });
+    }
+
+    /**
+     * begin()
+     * keep a state for the changes of tx, until it is committed.
+     * @param {obj} state
+     * @param {StorageTransaction} tx
+     */
+    begin(state, tx) {
+        var isNew = !this._pending.has(tx);
+        state.isDirty = true;
+        this._pending.set(tx, state);
+        if (!isNew) return;
+
+        tx.afterCommit(() => {
+            var committed = this._pending.get(tx);
+            this._pending.delete(tx);
+            // save() has written it
+            committed.mark = storage.writeMarkPrefix(this.refBucketPrefix());
+            committed.isDirty = false;
+            this._state = committed;
+        });
+    }
+
+    /**
+     * uuids()
+     * find the records that might have the given value.
+     * @param {*} value
+     * @param {StorageTransaction} [tx]
+     * @return {Promise}
+     *      resolved with an [array] of uuids
+     */
+    uuids(value, tx) {
+        return this.load(tx).then((state) => {
+            var found = [];
+            ABModelLocalIndex.keysOf(value).forEach((key) => {
+                (state.values[key] || []).forEach((uuid) => {
+                    if (found.indexOf(uuid) == -1) found.push(uuid);
+                });
+            });
+            return found;
+        });
+    }
+
+    /**
+     * update()
+     * index a record that is being saved or removed in tx.
+     * @param {string} uuid
+     * @param {obj} record  or null if it is being removed
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    update(uuid, record, tx) {
+        return this.change(tx).then((state) => {
+            state.isDirty = true;
+
+            (state.byUUID[uuid] || []).forEach((key) => {
+                ABModelLocalIndex.touch(state, key);
+                var uuids = state.values[key].filter((u) => {
+                    return u != uuid;
+                });
+                if (uuids.length) {
+                    state.values[key] = uuids;
+                } else {
+                    delete state.values[key];
+                }
+            });
+            delete state.byUUID[uuid];
+
+            if (!record) return;
+
+            var keys = ABModelLocalIndex.keysOf(record[this.column]);
+            keys.forEach((key) => {
+                ABModelLocalIndex.touch(state, key);
+                state.values[key] = (state.values[key] || []).concat(uuid);
+            });
+            if (keys.length) {
+                state.byUUID[uuid] = keys;
+            }
+        });
+    }
+
+    /**
+     * rebuild()
+     * index all of a model's records from scratch, as part of tx.
+     * @param {obj} allObjects  as from model.getLocalData()
+     * @param {StorageTransaction} tx
+     */
+    rebuild(allObjects, tx) {
+        var state = ABModelLocalIndex.state({}, null);
+        state.isRebuilt = true;
+        this.begin(state, tx);
+        for (var uuid in allObjects) {
+            var keys = ABModelLocalIndex.keysOf(allObjects[uuid][this.column]);
+            keys.forEach((key) => {
+                state.values[key] = (state.values[key] || []).concat(uuid);
+            });
+            if (keys.length) {
+                state.byUUID[uuid] = keys;
+            }
+        }
+    }
+
+    /**
+     * save()
+     * write the buckets changed in tx, or all of them once rebuilt.
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    save(tx) {
+        var state = this._pending.get(tx);
+        if (!state || !state.isDirty) {
+            return Promise.resolve();
+        }
+        var changed = state.changed;
+        var isRebuilt = state.isRebuilt;
+        state.isDirty = false;
+        state.changed = {};
+        state.isRebuilt = false;
+
+        var buckets = {};
+        Object.keys(state.values).forEach((key) => {
+            var bucket = ABModelLocalIndex.bucketOf(key);
+            if (!isRebuilt && !changed[bucket]) return;
+            buckets[bucket] = buckets[bucket] || {};
+            buckets[bucket][key] = state.values[key];
+        });
+        Object.keys(changed).forEach((bucket) => {
+            buckets[bucket] = buckets[bucket] || null;
+        });
+
+        var prefix = this.refBucketPrefix();
+        var listing = isRebuilt ? tx.keys(prefix) : Promise.resolve([]);
+        return listing.then((keys) => {
+            // the buckets a rebuilt index no longer has
+            keys.forEach((key) => {
+                var bucket = key.slice(prefix.length);
+                if (!(bucket in buckets)) buckets[bucket] = null;
+            });
+            return Promise.all(
+                Object.keys(buckets).map((bucket) => {
+                    if (buckets[bucket] == null) {
+                        return tx.clear(prefix + bucket);
+                    }
+                    return tx.set(prefix + bucket, buckets[bucket]);
+                })
+            );
+        });
+    }
+
+    /**
+     * clear()
+     * remove the stored index, as part of tx.
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    clear(tx) {
+        return tx.keys(this.refBucketPrefix()).then((keys) => {
+            return Promise.all(
+                keys.map((key) => {
+                    return tx.clear(key);
+                })
+            );
+        });
+    }
+
+    /**
+     * reset()
+     * forget the loaded index.  Uncommitted changes are kept by their
+     * transactions.
+     */
+    reset() {
+        this._state = null;
+    }
+
+    refStorage() {
+        return `${this.model.refIndexPrefix()}${this.column}`;
+    }
+
+    /**
+     * refBucketPrefix()
+     * the beginning of the storage keys of our buckets.
+     * @return {string}
+     */
+    refBucketPrefix() {
+        return `${this.refStorage()}/`;
+    }
+
+    /**
+     * Build the loaded state of stored index values.
+     * @param {obj} values  { value: [uuid] }
+     * @param {string} mark
+     * @return {obj}
+     */
+    static state(values, mark) {
+        var byUUID = {};
+        Object.keys(values).forEach((key) => {
+            values[key].forEach((uuid) => {
+                (byUUID[uuid] = byUUID[uuid] || []).push(key);
+            });
+        });
+        return {
+            mark: mark,
+            values: values,
+            byUUID: byUUID,
+            isDirty: false,
+            changed: {},
+            isRebuilt: false
+        };
+    }
+
+    /**
+     * The bucket an index key is stored in.
+     * @param {string} key
+     * @return {string}
+     */
+    static bucketOf(key) {
+        var hash = 0;
+        for (var i = 0; i < key.length; i++) {
+            hash = (hash * 31 + key.charCodeAt(i)) | 0;
+        }
+        return String(Math.abs(hash) % BUCKETS);
+    }
+
+    /**
+     * Note that the bucket of an index key changed, so the next save()
+     * writes it.
+     * @param {obj} state
+     * @param {string} key
+     */
+    static touch(state, key) {
+        state.changed[ABModelLocalIndex.bucketOf(key)] = true;
+    }
+
+    /**
+     * The index keys of a column value.  Connected records and multiple
+     * values give several keys.  Text is not case sensitive, and numbers
+     * like "1.0" and 1 are the same.
+     * @param {*} value
+     * @return {array}
+     */
+    static keysOf(value) {
+        var keys = [];
+        var add = (v) => {
+            if (v === null || typeof v == "undefined" || v === "") return;
+            v = String(v)
+                .trim()
+                .toLowerCase();
+            if (/^-?\d+(\.\d+)?$/.test(v)) {
+                v = String(parseFloat(v));
+            }
+            if (keys.indexOf(v) == -1) keys.push(v);
+        };
+        [].concat(value).forEach((v) => {
+            if (v && typeof v == "object") {
+                // a connected record, list option or user
+                add(v.id);
+                add(v.uuid);
+                if (!v.id && !v.uuid) add(v.value);
+            } else {
+                add(v);
+            }
+        });
+        return keys;
+    }
+};
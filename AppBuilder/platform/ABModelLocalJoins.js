@@ -0,0 +1,347 @@
+/**
+ * ABModelLocalJoins
+ *
+ * Computes the rows of an ABObjectQuery from the records stored locally for
+ * the objects it joins, so a query reflects changes made on the device
+ * before the server has answered.  Rows are in the server's format:
+ *      { "{alias}.{columnName}": value, "{alias}.uuid": uuid, uuid: uuid }
+ *
+ * The query's joins are expected as:
+ *  {
+ *      alias: "BASE_OBJECT",
+ *      objectURL: "#/...",
+ *      links: [
+ *          { alias, fieldID, type: "left"|"right"|"inner"|"outer", links }
+ *      ]
+ *  }
+ * Rows the server sent for base records we don't have locally are kept as
+ * they were.
+ */
+
+var ABModelLocalQuery = require("./ABModelLocalQuery");
+
+// the alias the server uses for a query's base object
+var BASE_ALIAS = "BASE_OBJECT";
+
+module.exports = class ABModelLocalJoins {
+    /**
+     * @param {ABObjectQuery} query
+     */
+    constructor(query) {
+        this.query = query;
+    }
+
+    /**
+     * isSupported()
+     * can the query be computed on the device?  Queries saved in the
+     * original format (an array of joins) can not.
+     * @return {bool}
+     */
+    isSupported() {
+        var joins = this.query.joins();
+        return !!(
+            joins &&
+            !Array.isArray(joins) &&
+            this.query.objectBase &&
+            this.query.objectBase()
+        );
+    }
+
+    /**
+     * find()
+     * @param {array} stored  the rows the server sent for the query
+     * @param {obj} cond
+     *      { where, sort, skip, limit }  see ABModelLocalQuery.  Keys are
+     *      "{alias}.{columnName}", or the ids of the query's fields.
+     * @return {Promise}
+     *      resolved with an [array] of rows
+     */
+    find(stored, cond) {
+        var aliases = this.aliases();
+        var base = aliases[0];
+        var tuples;
+        return this.tuples(aliases)
+            .then((result) => {
+                tuples = result;
+                return base.model.transaction((tx) => {
+                    return base.model.tombstones(tx);
+                });
+            })
+            .then((tombstones) => {
+                var rowQuery = new ABModelLocalQuery(this.object(aliases));
+                var rows = rowQuery
+                    .filter(
+                        tuples.map((tuple) => {
+                            return this.row(tuple, aliases);
+                        }),
+                        this.query.where
+                    )
+                    .map((row) => {
+                        return this.select(row, aliases);
+                    });
+
+                // rows of base records we don't have, and haven't deleted
+                var PK = base.object.PK();
+                var local = tombstones;
+                tuples.forEach((tuple) => {
+                    var record = tuple[base.alias];
+                    if (record) {
+                        local.push({ uuid: record.uuid, pk: record[PK] });
+                    }
+                });
+                var isLocal = (row) => {
+                    return base.model.isListed(
+                        {
+                            uuid: row[`${base.alias}.uuid`],
+                            [PK]: row[`${base.alias}.${PK}`]
+                        },
+                        local
+                    );
+                };
+                (stored || []).forEach((row) => {
+                    if (!isLocal(row)) rows.push(row);
+                });
+
+                return rowQuery.find(rows, cond);
+            });
+    }
+
+    /**
+     * aliases()
+     * the objects the query joins, parents before the objects joined to
+     * them.
+     * @return {array}
+     *      [ { alias, object, model, parent: {alias}, field: {ABFieldConnect},
+     *          type } ]
+     */
+    aliases() {
+        var joins = this.query.joins();
+        var base = this.query.objectBase();
+        var list = [
+            {
+                alias: joins.alias || BASE_ALIAS,
+                object: base,
+                model: base.model().local()
+            }
+        ];
+        var add = (parent, links) => {
+            (links || []).forEach((link) => {
+                var field = parent.object.fields((f) => {
+                    return f.id == link.fieldID;
+                })[0];
+                if (!field || !field.datasourceLink) return;
+
+                var entry = {
+                    alias: link.alias,
+                    object: field.datasourceLink,
+                    model: field.datasourceLink.model().local(),
+                    parent: parent.alias,
+                    field: field,
+                    type: (link.type || "left").toLowerCase()
+                };
+                list.push(entry);
+                add(entry, link.links);
+            });
+        };
+        add(list[0], joins.links);
+        return list;
+    }
+
+    /**
+     * tuples()
+     * join the stored records of the query's objects.
+     * @param {array} aliases  see aliases()
+     * @return {Promise}
+     *      resolved with an [array] of { alias: {record} }.  Aliases without
+     *      a record in an outer join are left out.
+     */
+    tuples(aliases) {
+        // one object at a time, so only one store is locked at once
+        var found = [];
+        return aliases
+            .reduce((chain, entry) => {
+                return chain.then(() => {
+                    // with the connections to the objects joined to it
+                    var populate = aliases
+                        .filter((a) => {
+                            return a.parent == entry.alias;
+                        })
+                        .map((a) => {
+                            return a.field.id;
+                        });
+                    return entry.model
+                        .findAll({
+                            populate: populate.length ? populate : false
+                        })
+                        .then((records) => {
+                            found.push(records || []);
+                        });
+                });
+            }, Promise.resolve())
+            .then(() => {
+                var tuples = found[0].map((record) => {
+                    return { [aliases[0].alias]: record };
+                });
+                for (var i = 1; i < aliases.length; i++) {
+                    tuples = this.join(tuples, aliases[i], found[i]);
+                }
+                return tuples;
+            });
+    }
+
+    /**
+     * join()
+     * add the records of one joined object to the tuples.
+     * @param {array} tuples
+     * @param {obj} entry  the joined object, see aliases()
+     * @param {array} records  its records
+     * @return {array}  the joined tuples
+     */
+    join(tuples, entry, records) {
+        var PK = entry.object.PK();
+        var byUUID = {};
+        var byPK = {};
+        records.forEach((record) => {
+            if (record.uuid) byUUID[record.uuid] = record;
+            if (!ABModelLocalQuery.isEmpty(record[PK])) {
+                byPK[record[PK]] = record;
+            }
+        });
+
+        var relation = entry.field.relationName();
+        var joined = [];
+        var used = new Set();
+        tuples.forEach((tuple) => {
+            var parent = tuple[entry.parent];
+            var matches = [].concat((parent && parent[relation]) || []);
+            matches = matches
+                .map((value) => {
+                    if (!value || typeof value != "object") return null;
+                    // the server's copy, if we don't have it
+                    return (
+                        byUUID[value.uuid] ||
+                        byPK[value[PK] || value.id] ||
+                        value
+                    );
+                })
+                .filter((record) => {
+                    return record;
+                });
+
+            matches.forEach((record) => {
+                used.add(record);
+                joined.push(
+                    Object.assign({}, tuple, { [entry.alias]: record })
+                );
+            });
+            if (
+                matches.length == 0 &&
+                ["left", "outer"].indexOf(entry.type) > -1
+            ) {
+                joined.push(tuple);
+            }
+        });
+
+        if (["right", "outer"].indexOf(entry.type) > -1) {
+            records.forEach((record) => {
+                if (!used.has(record)) {
+                    joined.push({ [entry.alias]: record });
+                }
+            });
+        }
+        return joined;
+    }
+
+    /**
+     * row()
+     * a row with every field of the joined records, so the query's where
+     * clause can use any of them.
+     * @param {obj} tuple
+     * @param {array} aliases
+     * @return {obj}
+     */
+    row(tuple, aliases) {
+        var row = {};
+        aliases.forEach((entry) => {
+            var record = tuple[entry.alias];
+            if (!record) return;
+
+            var PK = entry.object.PK();
+            row[`${entry.alias}.uuid`] = record.uuid;
+            row[`${entry.alias}.${PK}`] = record[PK];
+            entry.object.fields().forEach((field) => {
+                row[`${entry.alias}.${field.columnName}`] =
+                    record[field.columnName];
+                if (field.key == "connectObject") {
+                    var relation = field.relationName();
+                    row[`${entry.alias}.${relation}`] = record[relation];
+                }
+            });
+        });
+
+        // identifies the combination of records
+        row.uuid = aliases
+            .map((entry) => {
+                var record = tuple[entry.alias];
+                return record ? record.uuid || record[entry.object.PK()] : "";
+            })
+            .join(",");
+        return row;
+    }
+
+    /**
+     * select()
+     * only keep the fields the query selects.
+     * @param {obj} row  see row()
+     * @param {array} aliases
+     * @return {obj}
+     */
+    select(row, aliases) {
+        var selected = { uuid: row.uuid };
+        var copy = (key) => {
+            if (key in row) selected[key] = row[key];
+        };
+        aliases.forEach((entry) => {
+            copy(`${entry.alias}.uuid`);
+            copy(`${entry.alias}.${entry.object.PK()}`);
+        });
+        this.query.fields().forEach((field) => {
+            var alias = field.alias || BASE_ALIAS;
+            copy(`${alias}.${field.columnName}`);
+            if (field.key == "connectObject") {
+                copy(`${alias}.${field.relationName()}`);
+            }
+        });
+        return selected;
+    }
+
+    /**
+     * object()
+     * an object whose fields are the joined objects' fields, keyed
+     * "{alias}.{columnName}", for ABModelLocalQuery to evaluate conditions
+     * with.  Fields can also be found by "{alias}.{id}", or by their id.
+     * @param {array} aliases
+     * @return {obj}
+     */
+    object(aliases) {
+        var fields = [];
+        aliases.forEach((entry) => {
+            entry.object.fields().forEach((field) => {
+                var columnName = `${entry.alias}.${field.columnName}`;
+                [field.id, `${entry.alias}.${field.id}`].forEach((id) => {
+                    fields.push(
+                        Object.create(field, {
+                            id: { value: id },
+                            columnName: { value: columnName }
+                        })
+                    );
+                });
+            });
+        });
+        return {
+            fields: (filter) => {
+                return filter ? fields.filter(filter) : fields;
+            }
+        };
+    }
+};
@@ -0,0 +1,189 @@
+/**
+ * ABModelLocalObserver
+ *
+ * Keeps the results of a findAll() condition up to date with the records
+ * stored locally for an ABObject.  Each time a transaction that changes the
+ * object's records (or for a query, the records of the objects it joins) is
+ * saved, the condition is run again and the callback is given what is
+ * different:
+ *      callback({
+ *          added: [rows],      in the results now, but not before
+ *          changed: [rows],    in both, with different values
+ *          removed: [rows],    in the results before, but not now
+ *          rows: [rows]        all the results, in order
+ *      })
+ * The first call has all the results as added.  Changes that don't affect
+ * the results aren't reported.
+ */
+
+var ABModelLocalJoins = require("./ABModelLocalJoins");
+
+// the observers of each store: { refStorage() : [ABModelLocalObserver] }
+var _observers = {};
+
+// the stores each transaction will refresh the observers of, once it is
+// saved: { StorageTransaction : [refStorage()] }
+var _watched = new WeakMap();
+
+module.exports = class ABModelLocalObserver {
+    /**
+     * @param {ABModelLocal} model
+     * @param {obj} cond  see ABModelLocal.findAll()
+     * @param {fn} callback
+     */
+    constructor(model, cond, callback) {
+        this.model = model;
+        this.cond = cond || {};
+        this.callback = callback;
+
+        this.refs = [];
+        this.isStopped = false;
+
+        // the last results: { id: {row} }, their JSON, and their order
+        this.rows = null;
+        this.values = {};
+        this.order = [];
+
+        // refresh() runs one at a time, in order
+        this.refreshing = Promise.resolve();
+    }
+
+    /**
+     * start()
+     * begin watching our stores, and report the current results.
+     * @return {Promise}
+     */
+    start() {
+        this.refs = [this.model.refStorage()];
+        if (this.model.object.importJoins) {
+            var joins = new ABModelLocalJoins(this.model.object);
+            if (joins.isSupported()) {
+                joins.aliases().forEach((entry) => {
+                    var ref = entry.model.refStorage();
+                    if (this.refs.indexOf(ref) == -1) this.refs.push(ref);
+                });
+            }
+        }
+
+        this.refs.forEach((ref) => {
+            _observers[ref] = _observers[ref] || [];
+            _observers[ref].push(this);
+        });
+        return this.refresh();
+    }
+
+    /**
+     * stop()
+     * no more callbacks.
+     */
+    stop() {
+        this.isStopped = true;
+        this.refs.forEach((ref) => {
+            var list = _observers[ref] || [];
+            var index = list.indexOf(this);
+            if (index > -1) list.splice(index, 1);
+            if (list.length == 0) delete _observers[ref];
+        });
+    }
+
+    /**
+     * refresh()
+     * run our condition again, and report any differences.
+     * @return {Promise}
+     */
+    refresh() {
+        this.refreshing = this.refreshing
+            .then(() => {
+                if (this.isStopped) return;
+                return this.model.findAll(this.cond).then((rows) => {
+                    if (this.isStopped) return;
+
+                    var isFirst = this.rows == null;
+                    var diff = this.diff(rows || []);
+                    if (
+                        isFirst ||
+                        diff.isReordered ||
+                        diff.added.length ||
+                        diff.changed.length ||
+                        diff.removed.length
+                    ) {
+                        delete diff.isReordered;
+                        this.callback(diff);
+                    }
+                });
+            })
+            .catch((err) => {
+                console.error("!!! error trying to refresh observer:", err);
+            });
+        return this.refreshing;
+    }
+
+    /**
+     * diff()
+     * compare new results to the last ones, and remember them.
+     * @param {array} rows
+     * @return {obj}
+     *      { added, changed, removed, rows, isReordered }
+     */
+    diff(rows) {
+        var previous = this.rows || {};
+        var diff = {
+            added: [],
+            changed: [],
+            removed: [],
+            rows: rows,
+            isReordered: false
+        };
+
+        var current = {};
+        var values = {};
+        var order = [];
+        rows.forEach((row) => {
+            var id = row[this.model.object.fieldUUID(row)];
+            var value = JSON.stringify(row);
+            current[id] = row;
+            values[id] = value;
+            order.push(id);
+
+            if (!previous[id]) {
+                diff.added.push(row);
+            } else if (this.values[id] != value) {
+                diff.changed.push(row);
+            }
+        });
+        Object.keys(previous).forEach((id) => {
+            if (!current[id]) diff.removed.push(previous[id]);
+        });
+        diff.isReordered = order.join(",") != this.order.join(",");
+
+        this.rows = current;
+        this.values = values;
+        this.order = order;
+        return diff;
+    }
+
+    /**
+     * Refresh the observers of a model's store once tx is saved, if it
+     * changed any of the store's records.  Called by
+     * ABModelLocal.transaction()
+     * @param {ABModelLocal} model
+     * @param {StorageTransaction} tx
+     */
+    static watch(model, tx) {
+        var ref = model.refStorage();
+        if (!_observers[ref]) return;
+
+        var watched = _watched.get(tx) || [];
+        if (watched.indexOf(ref) > -1) return;
+        watched.push(ref);
+        _watched.set(tx, watched);
+
+        var prefix = model.refRecordPrefix();
+        tx.afterCommit(() => {
+            if (tx.writtenKeys(prefix).length == 0) return;
+            (_observers[ref] || []).slice().forEach((observer) => {
+                observer.refresh();
+            });
+        });
+    }
+};
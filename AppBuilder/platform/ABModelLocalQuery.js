@@ -0,0 +1,468 @@
+/**
+ * ABModelLocalQuery
+ *
+ * Evaluates a findAll() condition against the records stored locally for an
+ * ABObject, so offline results match what the server would return:
+ *  {
+ *      where: { glue: "and"|"or", rules: [ {key, rule, value}, {glue, rules} ] },
+ *      sort: [ { key: {ABField.id}, dir: "asc"|"desc" } ],
+ *      skip: {int},
+ *      limit: {int}
+ *  }
+ *
+ * Rule keys are ABField ids (or column names).  Values are compared according
+ * to the field's type.  Rules that need data from the server (in_query,
+ * in_data_collection, ...) can not be checked here, so they let every record
+ * through.
+ */
+
+var Account = require("../../resources/Account").default;
+
+// rules that need the server to be evaluated
+var SERVER_RULES = [
+    "in_query",
+    "not_in_query",
+    "in_query_field",
+    "not_in_query_field",
+    "in_data_collection",
+    "not_in_data_collection",
+    "same_as_field",
+    "not_same_as_field"
+];
+
+module.exports = class ABModelLocalQuery {
+    /**
+     * @param {ABObject} object
+     */
+    constructor(object) {
+        this.object = object;
+    }
+
+    /**
+     * find()
+     * apply the where, sort, skip and limit of a condition to a set of
+     * records.
+     * @param {array} rows
+     * @param {obj} cond
+     * @return {array}
+     */
+    find(rows, cond) {
+        cond = cond || {};
+
+        var results = this.filter(rows, cond.where);
+        results = this.sort(results, cond.sort);
+        return this.page(results, cond.skip, cond.limit);
+    }
+
+    /**
+     * filter()
+     * return the rows that pass the given where condition.
+     * @param {array} rows
+     * @param {obj} where
+     * @return {array}
+     */
+    filter(rows, where) {
+        if (!where || !where.rules || where.rules.length == 0) {
+            return rows.slice();
+        }
+        return rows.filter((row) => {
+            return this.isMatch(row, where);
+        });
+    }
+
+    /**
+     * indexRule()
+     * find a rule of the where condition that every result has to pass, and
+     * that can be looked up in one of the given indexed columns.
+     * @param {obj} where
+     * @param {array} columns  the indexed column names
+     * @return {obj}
+     *      { column: {string}, values: [array] }, or null if there isn't one
+     */
+    indexRule(where, columns) {
+        if (!where || !where.rules) return null;
+        if ((where.glue || "and").toLowerCase() != "and") return null;
+
+        for (var i = 0; i < where.rules.length; i++) {
+            var rule = where.rules[i];
+            if (!rule || rule.rules || !rule.key) continue;
+            if (["equals", "equal", "in"].indexOf(rule.rule) == -1) continue;
+
+            var field = this.field(rule.key);
+            var column = field ? field.columnName : rule.key;
+            if (columns.indexOf(column) == -1) continue;
+
+            // these are not compared by their stored values
+            if (
+                field &&
+                (["date", "datetime", "boolean"].indexOf(field.key) > -1 ||
+                    (field.settings && field.settings.supportMultilingual))
+            ) {
+                continue;
+            }
+
+            return { column: column, values: [].concat(rule.value) };
+        }
+        return null;
+    }
+
+    /**
+     * isMatch()
+     * check a row against a {glue, rules} condition.  An empty condition
+     * matches everything.
+     * @param {obj} row
+     * @param {obj} where
+     * @return {bool}
+     */
+    isMatch(row, where) {
+        var rules = ((where && where.rules) || []).filter((rule) => {
+            // skip the unfinished rows of a filter form
+            return rule && (rule.rules || (rule.key && rule.rule));
+        });
+        if (rules.length == 0) return true;
+
+        var check = (rule) => {
+            if (rule.rules) {
+                return this.isMatch(row, rule);
+            }
+            return this.isRuleMatch(row, rule);
+        };
+
+        if ((where.glue || "and").toLowerCase() == "or") {
+            return rules.some(check);
+        }
+        return rules.every(check);
+    }
+
+    /**
+     * isRuleMatch()
+     * check a row against a single {key, rule, value} rule.
+     * @param {obj} row
+     * @param {obj} rule
+     * @return {bool}
+     */
+    isRuleMatch(row, rule) {
+        if (SERVER_RULES.indexOf(rule.rule) > -1) {
+            return true;
+        }
+
+        var field = this.field(rule.key);
+        var type = field ? field.key : null;
+        var rowValue = row[field ? field.columnName : rule.key];
+        var value = rule.value;
+
+        switch (rule.rule) {
+            case "is_empty":
+            case "is_null":
+                return ABModelLocalQuery.isEmpty(rowValue);
+
+            case "is_not_empty":
+            case "is_not_null":
+                return !ABModelLocalQuery.isEmpty(rowValue);
+
+            case "is_current_user":
+            case "same_as_user":
+            case "contain_current_user":
+                return this.hasValue(rowValue, Account.username);
+
+            case "is_not_current_user":
+            case "not_same_as_user":
+            case "not_contain_current_user":
+                return !this.hasValue(rowValue, Account.username);
+
+            case "checked":
+                return ABModelLocalQuery.isTrue(rowValue);
+
+            case "unchecked":
+                return !ABModelLocalQuery.isTrue(rowValue);
+
+            case "in":
+                return [].concat(value).some((v) => {
+                    return this.hasValue(rowValue, v);
+                });
+
+            case "not_in":
+                return ![].concat(value).some((v) => {
+                    return this.hasValue(rowValue, v);
+                });
+
+            case "contains":
+            case "not_contains":
+            case "begins_with":
+            case "not_begins_with":
+            case "ends_with":
+            case "not_ends_with":
+                return this.isTextMatch(rule.rule, rowValue, value);
+        }
+
+        // the remaining rules compare values in the field's type
+        if (type == "boolean") {
+            value = ABModelLocalQuery.isTrue(value);
+            rowValue = ABModelLocalQuery.isTrue(rowValue);
+        } else if (
+            ["list", "user", "connectObject"].indexOf(type) > -1 &&
+            ["equals", "equal", "not_equal"].indexOf(rule.rule) > -1
+        ) {
+            var isFound = this.hasValue(rowValue, value);
+            return rule.rule == "not_equal" ? !isFound : isFound;
+        }
+
+        var order = this.compare(field, rowValue, value);
+        if (order === null) {
+            // values that can't be compared only pass "not_equal"
+            return rule.rule == "not_equal";
+        }
+
+        switch (rule.rule) {
+            case "equals":
+            case "equal":
+                return order == 0;
+            case "not_equal":
+                return order != 0;
+            case "less":
+                return order < 0;
+            case "greater":
+                return order > 0;
+            case "less_or_equal":
+                return order <= 0;
+            case "greater_or_equal":
+                return order >= 0;
+        }
+
+        console.warn("ABModelLocalQuery: unknown rule [" + rule.rule + "]");
+        return true;
+    }
+
+    /**
+     * isTextMatch()
+     * the text rules, which ignore case like the server does.
+     * @param {string} rule
+     * @param {*} rowValue
+     * @param {*} value
+     * @return {bool}
+     */
+    isTextMatch(rule, rowValue, value) {
+        var text = ABModelLocalQuery.text(rowValue);
+        var search = ABModelLocalQuery.text(value);
+
+        switch (rule) {
+            case "contains":
+                return text.indexOf(search) > -1;
+            case "not_contains":
+                return text.indexOf(search) == -1;
+            case "begins_with":
+                return text.indexOf(search) == 0;
+            case "not_begins_with":
+                return text.indexOf(search) != 0;
+            case "ends_with":
+                return text.slice(text.length - search.length) == search;
+            case "not_ends_with":
+                return text.slice(text.length - search.length) != search;
+        }
+        return false;
+    }
+
+    /**
+     * hasValue()
+     * does a (possibly multiple) list, user or connected value include the
+     * given value?
+     * @param {*} rowValue
+     *      a single value, an {id} object, or an array of them
+     * @param {*} value
+     * @return {bool}
+     */
+    hasValue(rowValue, value) {
+        if (ABModelLocalQuery.isEmpty(rowValue)) return false;
+
+        var idOf = (v) => {
+            if (v && typeof v == "object") {
+                v = v.id || v.uuid || v.username || v.value;
+            }
+            return v == null ? "" : String(v);
+        };
+        var id = idOf(value);
+        return [].concat(rowValue).some((v) => {
+            return idOf(v) == id;
+        });
+    }
+
+    /**
+     * sort()
+     * order rows by a list of {key, dir} sort fields.  Rows that are equal
+     * keep their current order.
+     * @param {array} rows
+     * @param {array} sorts
+     * @return {array}
+     */
+    sort(rows, sorts) {
+        sorts = (sorts || []).filter((s) => {
+            return s && s.key;
+        });
+        if (sorts.length == 0) return rows;
+
+        var fields = sorts.map((s) => {
+            return this.field(s.key);
+        });
+        return rows
+            .map((row, index) => {
+                return { row: row, index: index };
+            })
+            .sort((a, b) => {
+                for (var i = 0; i < sorts.length; i++) {
+                    var field = fields[i];
+                    var column = field ? field.columnName : sorts[i].key;
+                    var order = this.compare(
+                        field,
+                        a.row[column],
+                        b.row[column],
+                        true
+                    );
+                    if (order) {
+                        return (sorts[i].dir || "").toLowerCase() == "desc"
+                            ? -order
+                            : order;
+                    }
+                }
+                return a.index - b.index;
+            })
+            .map((entry) => {
+                return entry.row;
+            });
+    }
+
+    /**
+     * page()
+     * apply skip and limit.
+     * @param {array} rows
+     * @param {int} skip
+     * @param {int} limit
+     * @return {array}
+     */
+    page(rows, skip, limit) {
+        skip = parseInt(skip) || 0;
+        limit = parseInt(limit);
+        if (isNaN(limit) || limit < 0) {
+            return rows.slice(skip);
+        }
+        return rows.slice(skip, skip + limit);
+    }
+
+    /**
+     * compare()
+     * compare two values according to the type of the given field.
+     * @param {ABField} field  (may be null)
+     * @param {*} a
+     * @param {*} b
+     * @param {bool} isSorting
+     *      when sorting, empty values come first instead of being
+     *      incomparable.
+     * @return {int|null}
+     *      <0, 0, >0, or null if the values can't be compared
+     */
+    compare(field, a, b, isSorting) {
+        var isEmptyA = ABModelLocalQuery.isEmpty(a);
+        var isEmptyB = ABModelLocalQuery.isEmpty(b);
+        if (isEmptyA || isEmptyB) {
+            if (isSorting) return (isEmptyA ? 0 : 1) - (isEmptyB ? 0 : 1);
+            return isEmptyA && isEmptyB ? 0 : null;
+        }
+
+        switch (field ? field.key : null) {
+            case "number":
+            case "AutoIndex":
+            case "calculate":
+            case "formula":
+                a = parseFloat(a);
+                b = parseFloat(b);
+                if (isNaN(a) || isNaN(b)) return null;
+                return a - b;
+
+            case "date":
+            case "datetime":
+                var includeTime =
+                    field.key == "datetime" ||
+                    (field.settings && field.settings.includeTime);
+                a = ABModelLocalQuery.time(a, includeTime);
+                b = ABModelLocalQuery.time(b, includeTime);
+                if (a === null || b === null) return null;
+                return a - b;
+
+            case "boolean":
+                return (
+                    (ABModelLocalQuery.isTrue(a) ? 1 : 0) -
+                    (ABModelLocalQuery.isTrue(b) ? 1 : 0)
+                );
+        }
+
+        a = ABModelLocalQuery.text(a);
+        b = ABModelLocalQuery.text(b);
+        if (a == b) return 0;
+        return a.localeCompare(b);
+    }
+
+    /**
+     * field()
+     * find our object's field by its id or column name.
+     * @param {string} key
+     * @return {ABField}  or null if the key isn't one of our fields
+     */
+    field(key) {
+        return (
+            this.object.fields((f) => {
+                return f.id == key || f.columnName == key;
+            })[0] || null
+        );
+    }
+
+    /**
+     * @param {*} value
+     * @return {bool}
+     */
+    static isEmpty(value) {
+        return (
+            value === null ||
+            typeof value == "undefined" ||
+            value === "" ||
+            (Array.isArray(value) && value.length == 0)
+        );
+    }
+
+    /**
+     * @param {*} value
+     * @return {bool}
+     */
+    static isTrue(value) {
+        return value === true || value == 1 || value === "true";
+    }
+
+    /**
+     * Lower case text of a value, for case insensitive comparisons.
+     * @param {*} value
+     * @return {string}
+     */
+    static text(value) {
+        if (ABModelLocalQuery.isEmpty(value)) return "";
+        if (typeof value == "object") {
+            // a connected record or user
+            value = Array.isArray(value)
+                ? value.map(ABModelLocalQuery.text).join(", ")
+                : value.text || value.value || value.id || "";
+        }
+        return String(value).toLowerCase();
+    }
+
+    /**
+     * Timestamp of a date value.  Without the time, only the day is compared.
+     * @param {*} value
+     * @param {bool} includeTime
+     * @return {int}  or null if it isn't a date
+     */
+    static time(value, includeTime) {
+        var date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+        if (!includeTime) {
+            date.setHours(0, 0, 0, 0);
+        }
+        return date.getTime();
+    }
+};
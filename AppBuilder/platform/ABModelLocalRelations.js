@@ -0,0 +1,204 @@
+/**
+ * ABModelLocalRelations
+ *
+ * Fills in the connected records of locally stored records, the way the
+ * server does for a find with populate:
+ *      row[field.relationName()] = {obj} for a "one" link (or null),
+ *                                  [array] for a "many" link
+ *
+ * Connected records are looked up in the connected object's local store, by
+ * the ids the row has, and by the connected records that refer back to the
+ * row.  Connections the server sent, whose records we don't have, are kept
+ * as they were.
+ */
+
+var ABModelLocalIndex = require("./ABModelLocalIndex");
+var ABModelLocalQuery = require("./ABModelLocalQuery");
+
+module.exports = class ABModelLocalRelations {
+    /**
+     * @param {ABObject} object
+     */
+    constructor(object) {
+        this.object = object;
+    }
+
+    /**
+     * populate()
+     * @param {array} rows  our records
+     * @param {bool|array} populate
+     *      true for all our connect fields, or a list of their ids or
+     *      column names.
+     * @return {Promise}
+     *      resolved with the rows
+     */
+    populate(rows, populate) {
+        // one field at a time, so only one connected store is locked at once
+        return this.fields(populate)
+            .reduce((chain, field) => {
+                return chain.then(() => {
+                    return this.populateField(rows, field);
+                });
+            }, Promise.resolve())
+            .then(() => {
+                return rows;
+            });
+    }
+
+    /**
+     * fields()
+     * the connect fields a populate option asks for.
+     * @param {bool|array} populate
+     * @return {array}
+     */
+    fields(populate) {
+        if (!populate) return [];
+
+        var names = Array.isArray(populate) ? populate : null;
+        return this.object.fields((f) => {
+            if (f.key != "connectObject" || !f.datasourceLink) return false;
+            return (
+                !names ||
+                names.indexOf(f.id) > -1 ||
+                names.indexOf(f.columnName) > -1
+            );
+        });
+    }
+
+    /**
+     * populateField()
+     * fill in one connect field of the rows.
+     * @param {array} rows
+     * @param {ABFieldConnect} field
+     * @return {Promise}
+     */
+    populateField(rows, field) {
+        var linked = field.datasourceLink;
+        var model = linked.model().local();
+        var linkField = linked.fields((f) => {
+            return f.id == field.settings.linkColumn;
+        })[0];
+        var relation = field.relationName();
+        var isMany = field.settings.linkType == "many";
+
+        return model.transaction((tx) => {
+            return Promise.all(
+                rows.map((row) => {
+                    var entries = this.entries(row, field);
+                    return Promise.all([
+                        Promise.all(
+                            entries.map((entry) => {
+                                return model.findUUID(entry.lookup, tx);
+                            })
+                        ),
+                        this.referring(model, linkField, row, tx)
+                    ]).then((found) => {
+                        var uuids = found[0].concat(found[1]).filter((u) => {
+                            return u;
+                        });
+                        return model.getRecords(uuids, tx).then((records) => {
+                            var values = [];
+                            var added = {};
+                            var add = (uuid, value) => {
+                                if (uuid && added[uuid]) return;
+                                if (uuid) added[uuid] = true;
+                                values.push(value);
+                            };
+
+                            entries.forEach((entry, i) => {
+                                var uuid = found[0][i];
+                                if (uuid && records[uuid]) {
+                                    add(uuid, records[uuid]);
+                                } else if (typeof entry.value == "object") {
+                                    // sent by the server, but we don't have it
+                                    add(null, entry.value);
+                                }
+                            });
+                            found[1].forEach((uuid) => {
+                                if (records[uuid]) add(uuid, records[uuid]);
+                            });
+
+                            model.normalizeData(values);
+                            row[relation] = isMany ? values : values[0] || null;
+                        });
+                    });
+                })
+            );
+        });
+    }
+
+    /**
+     * entries()
+     * the connections a row has for a field, in its column and in any
+     * relation the server sent.
+     * @param {obj} row
+     * @param {ABFieldConnect} field
+     * @return {array}
+     *      [ { value: {*}, lookup: {obj} data for model.findUUID() } ]
+     */
+    entries(row, field) {
+        var PK = field.datasourceLink.PK();
+        var entries = [];
+        var seen = {};
+        []
+            .concat(row[field.relationName()] || [])
+            .concat(
+                ABModelLocalQuery.isEmpty(row[field.columnName])
+                    ? []
+                    : row[field.columnName]
+            )
+            .forEach((value) => {
+                var lookup = {};
+                if (value && typeof value == "object") {
+                    if (value.uuid) lookup.uuid = value.uuid;
+                    lookup[PK] = value[PK] || value.id;
+                } else {
+                    // could be either
+                    lookup.uuid = value;
+                    lookup[PK] = value;
+                }
+
+                var key = lookup.uuid || lookup[PK];
+                if (ABModelLocalQuery.isEmpty(key) || seen[key]) return;
+                seen[key] = true;
+                if (lookup[PK] && lookup.uuid) seen[lookup[PK]] = true;
+                entries.push({ value: value, lookup: lookup });
+            });
+        return entries;
+    }
+
+    /**
+     * referring()
+     * find the connected records whose linked column refers to the row.
+     * @param {ABModelLocal} model  the connected object's local model
+     * @param {ABFieldConnect} linkField  its field that links back to us
+     * @param {obj} row
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     *      resolved with an [array] of uuids
+     */
+    referring(model, linkField, row, tx) {
+        var index = linkField ? model.index(linkField.columnName) : null;
+        if (!index) return Promise.resolve([]);
+
+        var ids = ABModelLocalIndex.keysOf([row[this.object.PK()], row.uuid]);
+        return Promise.all(
+            ids.map((id) => {
+                return index.uuids(id, tx);
+            })
+        )
+            .then((found) => {
+                return model.getRecords([].concat.apply([], found), tx);
+            })
+            .then((records) => {
+                // the index can find more than the exact value
+                return Object.keys(records).filter((uuid) => {
+                    return ABModelLocalIndex.keysOf(
+                        records[uuid][linkField.columnName]
+                    ).some((key) => {
+                        return ids.indexOf(key) > -1;
+                    });
+                });
+            });
+    }
+};
@@ -0,0 +1,310 @@
+/**
+ * ABModelLocalSearch
+ *
+ * A full text index of the records an ABModelLocal stores, so they can be
+ * searched without the network.  It has the words of the object's string,
+ * LongText and email fields, in every language, and of the labels of its
+ * list options.  It is stored in pieces, like any ABModelLocalIndex, each
+ * one holding
+ *      { word: { uuid: weight } }
+ * and, being one of the model's indexes(), is updated in the same
+ * transactions as the records.
+ *
+ * A search finds the records that have each of the words searched for, or
+ * a word beginning with it.  Words of short fields, and whole words, rank
+ * higher.
+ */
+
+var ABModelLocalIndex = require("./ABModelLocalIndex");
+var ABModelLocalQuery = require("./ABModelLocalQuery");
+
+// how much a word counts, by the type of field it is in
+var WEIGHTS = {
+    string: 3,
+    email: 2,
+    list: 2,
+    LongText: 1
+};
+
+// the column name of the index begins with this.  See column()
+var COLUMN_PREFIX = "*search:";
+
+// spaces and ASCII punctuation
+var SEPARATORS = /[\s!-/:-@[-`{-~]+/;
+
+module.exports = class ABModelLocalSearch extends ABModelLocalIndex {
+    /**
+     * uuids()
+     * find the records that match a search.
+     * @param {string} text
+     * @param {StorageTransaction} [tx]
+     * @return {Promise}
+     *      resolved with an [array] of uuids, best match first
+     */
+    uuids(text, tx) {
+        return this.search(text, tx).then((found) => {
+            return found.map((entry) => {
+                return entry.uuid;
+            });
+        });
+    }
+
+    /**
+     * search()
+     * @param {string} text
+     * @param {StorageTransaction} [tx]
+     * @return {Promise}
+     *      resolved with an [array] of { uuid, score }, best match first
+     */
+    search(text, tx) {
+        var terms = ABModelLocalSearch.words(text);
+        return this.load(tx).then((state) => {
+            if (terms.length == 0) return [];
+
+            var words = Object.keys(state.values);
+            var scores = null;
+            terms.forEach((term) => {
+                // the best word of each record for this term
+                var found = {};
+                words.forEach((word) => {
+                    if (word.indexOf(term) != 0) return;
+                    var bonus = word == term ? 2 : 1;
+                    var entry = state.values[word];
+                    Object.keys(entry).forEach((uuid) => {
+                        found[uuid] = Math.max(
+                            found[uuid] || 0,
+                            entry[uuid] * bonus
+                        );
+                    });
+                });
+
+                // only the records that match every term
+                if (scores == null) {
+                    scores = found;
+                    return;
+                }
+                var both = {};
+                Object.keys(scores).forEach((uuid) => {
+                    if (found[uuid]) both[uuid] = scores[uuid] + found[uuid];
+                });
+                scores = both;
+            });
+
+            return Object.keys(scores)
+                .map((uuid) => {
+                    return { uuid: uuid, score: scores[uuid] };
+                })
+                .sort((a, b) => {
+                    return b.score - a.score;
+                });
+        });
+    }
+
+    /**
+     * update()
+     * index a record that is being saved or removed in tx.
+     * @param {string} uuid
+     * @param {obj} record  or null if it is being removed
+     * @param {StorageTransaction} tx
+     * @return {Promise}
+     */
+    update(uuid, record, tx) {
+        return this.change(tx).then((state) => {
+            state.isDirty = true;
+
+            (state.byUUID[uuid] || []).forEach((word) => {
+                ABModelLocalIndex.touch(state, word);
+                var entry = state.values[word];
+                delete entry[uuid];
+                if (Object.keys(entry).length == 0) {
+                    delete state.values[word];
+                }
+            });
+            delete state.byUUID[uuid];
+
+            if (record) {
+                this.add(state, uuid, record);
+            }
+        });
+    }
+
+    /**
+     * rebuild()
+     * index all of a model's records from scratch, as part of tx.
+     * @param {obj} allObjects  as from model.getLocalData()
+     * @param {StorageTransaction} tx
+     */
+    rebuild(allObjects, tx) {
+        var state = ABModelLocalSearch.state({}, null);
+        state.isRebuilt = true;
+        this.begin(state, tx);
+        for (var uuid in allObjects) {
+            this.add(state, uuid, allObjects[uuid]);
+        }
+    }
+
+    /**
+     * add()
+     * put the words of a record in the loaded index.
+     * @param {obj} state  see ABModelLocalIndex.load()
+     * @param {string} uuid
+     * @param {obj} record
+     */
+    add(state, uuid, record) {
+        var weights = this.weightsOf(record);
+        var words = Object.keys(weights);
+        words.forEach((word) => {
+            ABModelLocalIndex.touch(state, word);
+            state.values[word] = state.values[word] || {};
+            state.values[word][uuid] = weights[word];
+        });
+        if (words.length) {
+            state.byUUID[uuid] = words;
+        }
+    }
+
+    /**
+     * weightsOf()
+     * the words of a record, and how much each counts.
+     * @param {obj} record
+     * @return {obj}  { word: weight }
+     */
+    weightsOf(record) {
+        var weights = {};
+        ABModelLocalSearch.fields(this.model.object).forEach((field) => {
+            // a word counts once per field, in any number of languages
+            var words = [];
+            this.textsOf(field, record).forEach((text) => {
+                ABModelLocalSearch.words(text).forEach((word) => {
+                    if (words.indexOf(word) == -1) words.push(word);
+                });
+            });
+            words.forEach((word) => {
+                weights[word] = (weights[word] || 0) + WEIGHTS[field.key];
+            });
+        });
+        return weights;
+    }
+
+    /**
+     * textsOf()
+     * the text of a field of a record, in each of its languages.  For a
+     * list, the labels of the chosen options.
+     * @param {ABField} field
+     * @param {obj} record
+     * @return {array}
+     */
+    textsOf(field, record) {
+        var texts = [];
+        var value = record[field.columnName];
+
+        if (field.key == "list") {
+            var options = (field.settings && field.settings.options) || [];
+            []
+                .concat(ABModelLocalQuery.isEmpty(value) ? [] : value)
+                .forEach((v) => {
+                    var id = v && typeof v == "object" ? v.id : v;
+                    var option = options.find((o) => {
+                        return o.id == id;
+                    });
+                    if (!option) {
+                        if (v && typeof v == "object") texts.push(v.text);
+                        return;
+                    }
+                    texts.push(option.text);
+                    (option.translations || []).forEach((trans) => {
+                        texts.push(trans.text);
+                    });
+                });
+            return texts;
+        }
+
+        texts.push(value);
+        (record.translations || []).forEach((trans) => {
+            texts.push(trans[field.columnName]);
+        });
+        return texts;
+    }
+
+    /**
+     * Build the loaded state of a stored search index.
+     * @param {obj} values  { word: { uuid: weight } }
+     * @param {string} mark
+     * @return {obj}
+     */
+    static state(values, mark) {
+        var byUUID = {};
+        Object.keys(values).forEach((word) => {
+            Object.keys(values[word]).forEach((uuid) => {
+                (byUUID[uuid] = byUUID[uuid] || []).push(word);
+            });
+        });
+        return {
+            mark: mark,
+            values: values,
+            byUUID: byUUID,
+            isDirty: false,
+            changed: {},
+            isRebuilt: false
+        };
+    }
+
+    /**
+     * The fields of an object that are searched.
+     * @param {ABObject} object
+     * @return {array}
+     */
+    static fields(object) {
+        return object.fields((f) => {
+            return !!WEIGHTS[f.key];
+        });
+    }
+
+    /**
+     * The column name of an object's search index, among the model's
+     * indexColumns().  It lists the fields, so the index is rebuilt when
+     * they change.
+     * @param {ABObject} object
+     * @return {string}  or null if the object has nothing to search
+     */
+    static column(object) {
+        var fields = ABModelLocalSearch.fields(object);
+        if (fields.length == 0) return null;
+        return (
+            COLUMN_PREFIX +
+            fields
+                .map((f) => {
+                    return f.columnName;
+                })
+                .join(",")
+        );
+    }
+
+    /**
+     * @param {string} column
+     * @return {bool}  is this the column name of a search index?
+     */
+    static isColumn(column) {
+        return column.indexOf(COLUMN_PREFIX) == 0;
+    }
+
+    /**
+     * The words of a text: lower case, without accents.
+     * @param {*} text
+     * @return {array}
+     */
+    static words(text) {
+        if (ABModelLocalQuery.isEmpty(text) || typeof text == "object") {
+            return [];
+        }
+        text = String(text).toLowerCase();
+        if (text.normalize) {
+            text = text.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+        }
+        var words = [];
+        text.split(SEPARATORS).forEach((word) => {
+            if (word && words.indexOf(word) == -1) words.push(word);
+        });
+        return words;
+    }
+};
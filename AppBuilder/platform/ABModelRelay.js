@@ -7,9 +7,14 @@
  */
 
 var ABModelCore = require("../core/ABModelCore");
+var ABModelLocal = require("./ABModelLocal");
 
 var Network = require("../../resources/Network").default;
 
+// The server only remembers its deletes for so long.  A watermark older than
+// this (by the server's clock) gets a full refresh instead of the changes.
+var DELTA_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
 module.exports = class ABModelRelay extends ABModelCore {
     constructor(object) {
         super(object);
@@ -29,8 +34,14 @@ module.exports = class ABModelRelay extends ABModelCore {
         return Promise.resolve().then(() => {
             // fire off a Relay Request to create this on the server too:
             var params = this.urlParamsCreate(values);
-            var responseContext = this.responseContext; // this.object.application.cloneDeep(this.responseContext);
-            responseContext.context.verb = "create";
+            // our own copy, so the uuid isn't left in the shared context.
+            // It lets the response update the record's sync state.
+            var responseContext = Object.assign({}, this.responseContext, {
+                context: Object.assign({}, this.responseContext.context, {
+                    verb: "create",
+                    uuid: values[UUID]
+                })
+            });
             return Network.post(params, responseContext).then(() => {
                 // a relay doesn't return the data right away so:
                 return [];
@@ -76,6 +87,12 @@ module.exports = class ABModelRelay extends ABModelCore {
     /**
      * @method findAll
      * performs a data find with the provided condition.
+     *
+     * A find for all the records that match (no skip or limit) sends the
+     * watermark of the data collection or object asking as cond.since, so
+     * the server can answer with only what changed.  See
+     * ABModelLocal.syncDelta().  cond.since is null when everything has to
+     * be loaded.
      */
     findAll(cond) {
         cond = cond || {};
@@ -88,25 +105,58 @@ module.exports = class ABModelRelay extends ABModelCore {
         // Those settings should be in AB.Policy.*
         // (however Policies aren't implemented at the moment so...)
 
-        return Promise.resolve().then(() => {
-            // if we are supposed to be working with remote data:
-            // var serviceType = AB.Policy.[someParam]
-            // var params = this.urlParamsFind(cond);
-            // return AB.Comm[serviceType].get(params, {contextParam})
-
-            // else
-            //	return [];
-
-            // for now:
-            var params = this.urlParamsFind(cond);
-            var responseContext = this.responseContext; // this.object.application.cloneDeep(this.responseContext);
-            responseContext.context.verb =
-                responseContext.context.verb || "find";
-            return Network.get(params, responseContext).then(() => {
+        // our own copy, as .delta is added to the context
+        var responseContext = Object.assign({}, this.responseContext, {
+            context: Object.assign({}, this.responseContext.context)
+        });
+        responseContext.context.verb = responseContext.context.verb || "find";
+
+        return this.object
+            .model()
+            .local()
+            .watermark(responseContext.context.id, cond)
+            .then((since) => {
+                // if we are supposed to be working with remote data:
+                // var serviceType = AB.Policy.[someParam]
+                // var params = this.urlParamsFind(cond);
+                // return AB.Comm[serviceType].get(params, {contextParam})
+
+                // else
+                //	return [];
+
+                var lastSyncDate =
+                    Network.relayState && Network.relayState.lastSyncDate;
+                if (
+                    since &&
+                    lastSyncDate &&
+                    new Date(lastSyncDate) - new Date(since) > DELTA_MAX_AGE
+                ) {
+                    since = null;
+                }
+
+                responseContext.context.delta = null;
+                if (ABModelLocal.isDeltaFind(cond)) {
+                    cond = Object.assign({}, cond, { since: since });
+                    responseContext.context.delta = {
+                        since: since,
+                        where: cond.where || null,
+                        // the watermark if the whole result is sent: the
+                        // server's time of its last response, as that is no
+                        // later than this request.  Without one, none is
+                        // saved and the next find loads everything again:
+                        // the device's clock could be ahead of the server's.
+                        requested: lastSyncDate || null
+                    };
+                }
+
+                // for now:
+                var params = this.urlParamsFind(cond);
+                return Network.get(params, responseContext);
+            })
+            .then(() => {
                 // a relay doesn't return the data right away so:
                 return [];
             });
-        });
     }
 
     /**
@@ -124,8 +174,13 @@ module.exports = class ABModelRelay extends ABModelCore {
         return Promise.resolve().then(() => {
             // fire off a Relay Request to update this on the server too:
             var params = this.urlParamsUpdate(id, values);
-            var responseContext = this.responseContext; // this.object.application.cloneDeep(this.responseContext);
-            responseContext.context.verb = "update";
+            // our own copy, as in create()
+            var responseContext = Object.assign({}, this.responseContext, {
+                context: Object.assign({}, this.responseContext.context, {
+                    verb: "update",
+                    uuid: values.uuid || id
+                })
+            });
             return Network.put(params, responseContext).then(() => {
                 // a relay doesn't return the data right away so:
                 return [];
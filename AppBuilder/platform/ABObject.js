@@ -7,11 +7,17 @@
 
 var ABObjectCore = require("../core/ABObjectCore");
 var Network = require("../../resources/Network").default;
+var ABModelLocal = require("./ABModelLocal");
+var ABValidator = require("./ABValidator");
 
 module.exports = class ABObject extends ABObjectCore {
     constructor(attributes, application) {
         super(attributes, application);
 
+        // columns to index in local storage, as well as the PK and connected
+        // fields.  See ABModelLocal.indexColumns()
+        this.localIndexes = attributes.localIndexes || [];
+
         // Setup a listener for this Object to catch updates from the relay
         Network.on(ABObjectCore.contextKey(), (context, data) => {
             // is this update for me?
@@ -28,6 +34,14 @@ module.exports = class ABObject extends ABObjectCore {
                 console.log(":: data:", data);
 
                 context.verb = context.verb || "unknown";
+
+                // remoteData() handles the errors
+                if (context.error) {
+                    this.remoteData(context, data);
+                    return;
+                }
+                this.remoteSyncState(context);
+
                 switch (context.verb) {
                     case "create":
                         // we are being alerted of a NEW object instance.
@@ -43,6 +57,12 @@ module.exports = class ABObject extends ABObjectCore {
                                 // object that there might be new data for them to
                                 // use.
                                 this.emit("CREATE", data);
+                            })
+                            .catch((err) => {
+                                console.error(
+                                    "!!! error trying to sync object:",
+                                    err
+                                );
                             });
                         break;
 
@@ -73,6 +93,12 @@ module.exports = class ABObject extends ABObjectCore {
                                             // object that there might be new data for them to
                                             // use.
                                             this.emit("UPDATE", data);
+                                        })
+                                        .catch((err) => {
+                                            console.error(
+                                                "!!! error trying to sync object:",
+                                                err
+                                            );
                                         });
                                 }
                             });
@@ -87,6 +113,14 @@ module.exports = class ABObject extends ABObjectCore {
                         //     numRows: #
                         // }
 
+                        if (typeof data.numRows != "undefined") {
+                            // the server has our delete, so the record no
+                            // longer needs to be kept out of our data
+                            this.model()
+                                .local()
+                                .clearTombstones(context.pk);
+                        }
+
                         if (data.numRows && data.numRows > 0) {
                             // this was a successful delete,
                             // alert our Datacollections:
@@ -126,6 +160,19 @@ module.exports = class ABObject extends ABObjectCore {
                         */
                         break;
 
+                    case "find":
+                        if (ABModelLocal.isDelta(data)) {
+                            this.remoteDelta(context, data).catch((err) => {
+                                console.error(
+                                    "!!! error trying to sync object:",
+                                    err
+                                );
+                            });
+                            break;
+                        }
+                        this.emit("data", data);
+                        break;
+
                     default:
                         // console.error(
                         //     "ABObject.Relay.on:  unknown context.verb",
@@ -183,6 +230,19 @@ module.exports = class ABObject extends ABObjectCore {
     }
 
     remoteData(context, data) {
+        if (
+            context.error &&
+            data &&
+            (data.error == "E_VALIDATION" || data.code == "E_VALIDATION")
+        ) {
+            // the same structure as isValidData() gives, for forms to show
+            context.error.code = "E_VALIDATION";
+            context.error.invalidAttributes = ABValidator.fromResponse(
+                data.invalidAttributes
+            ).errors;
+        }
+        this.remoteSyncState(context);
+
         if (context.error) {
             // Question: so how do we handle error responses?
             console.error(
@@ -194,11 +254,11 @@ module.exports = class ABObject extends ABObjectCore {
                 context,
                 data
             );
-            this.emit("error.remote", { context: context, data: data });
-
-            //// TODO: respond to data.error == "E_VALIDATION",
-            ////        data.invalidAttributes = { fieldName : [ errors ] }
-            ////        [errors] = { message:'error message', name:'fieldName', params:{type:'string'}}
+            this.emit("error.remote", {
+                context: context,
+                data: data,
+                invalidAttributes: context.error.invalidAttributes || null
+            });
         } else {
             // now figure out which update fn to call:
             switch (context.verb) {
@@ -227,6 +287,74 @@ module.exports = class ABObject extends ABObjectCore {
         }
     }
 
+    /**
+     * isValidData()
+     * check the values of a record before they are saved.
+     * @param {obj} data
+     * @param {bool} [isPartial]
+     *      data only has the fields being changed, so only check those.
+     * @return {ABValidator}
+     *      .pass() is false if there were problems, which are in .errors:
+     *      { columnName: [ { message, name, params } ] }
+     */
+    isValidData(data, isPartial) {
+        var validator = new ABValidator();
+        this.fields().forEach((field) => {
+            if (isPartial && !(field.columnName in data)) return;
+            if (field.isValidData) {
+                field.isValidData(data, validator);
+            }
+        });
+        return validator;
+    }
+
+    /**
+     * remoteSyncState()
+     * update the sync state of the record that a response to one of our own
+     * create, update or delete requests is for.
+     * @param {obj} context  the response context
+     * @return {Promise}
+     */
+    remoteSyncState(context) {
+        if (["create", "update", "delete"].indexOf(context.verb) == -1) {
+            return Promise.resolve();
+        }
+        var id = context.verb == "delete" ? context.pk : context.uuid;
+        if (!id) return Promise.resolve();
+
+        return this.model()
+            .local()
+            .syncResponse(id, context.error || null)
+            .then(() => {
+                // let screens update their unsynced badges
+                this.emit("sync", id);
+            });
+    }
+
+    /**
+     * remoteDelta()
+     * merge the changes returned for a find made by this object (see
+     * ABModelLocal.syncDelta()), and pass on all our records that match the
+     * find, like a full response would have.
+     * @param {obj} context  the response context
+     * @param {obj} data  { changed, deleted, syncDate }
+     * @return {Promise}
+     */
+    remoteDelta(context, data) {
+        var model = this.model().local();
+        return model
+            .syncDelta(data, context, "remote")
+            .then(() => {
+                return model.findAll({
+                    where: context.delta ? context.delta.where : null
+                });
+            })
+            .then((rows) => {
+                this.emit("data", rows || []);
+                return rows;
+            });
+    }
+
     /**
      * remoteFind
      * called when data from an external source is reported back to
@@ -0,0 +1,77 @@
+/**
+ * ABValidator
+ *
+ * Collects the problems found in a record's values.  They are kept in the
+ * same structure as the server's E_VALIDATION errors, so forms can display
+ * both the same way:
+ *  {
+ *      columnName: [ { message: {string}, name: columnName, params: {obj} } ]
+ *  }
+ */
+
+module.exports = class ABValidator {
+    constructor() {
+        this.errors = {};
+    }
+
+    /**
+     * addError()
+     * @param {string} name  the field's columnName
+     * @param {string} message
+     * @param {obj} [params]  details, like { rule: "required" }
+     */
+    addError(name, message, params) {
+        this.errors[name] = this.errors[name] || [];
+        this.errors[name].push({
+            message: message,
+            name: name,
+            params: params || {}
+        });
+    }
+
+    /**
+     * pass()
+     * @return {bool}  true if no errors were found
+     */
+    pass() {
+        return Object.keys(this.errors).length == 0;
+    }
+
+    /**
+     * toError()
+     * an Error for rejecting a create() or update(), shaped like the server's
+     * validation errors.
+     * @return {Error}
+     */
+    toError() {
+        var err = new Error("The data is not valid");
+        err.code = "E_VALIDATION";
+        err.invalidAttributes = this.errors;
+        return err;
+    }
+
+    /**
+     * A validator with the errors of an E_VALIDATION response from the
+     * server.
+     * @param {obj} invalidAttributes
+     *      { fieldName: [ { message, rule } or { message, name, params } ] }
+     * @return {ABValidator}
+     */
+    static fromResponse(invalidAttributes) {
+        var validator = new ABValidator();
+        Object.keys(invalidAttributes || {}).forEach((name) => {
+            [].concat(invalidAttributes[name]).forEach((error) => {
+                if (!error || typeof error != "object") {
+                    validator.addError(name, String(error));
+                    return;
+                }
+                var params = error.params || {};
+                if (error.rule && !params.rule) {
+                    params = Object.assign({ rule: error.rule }, params);
+                }
+                validator.addError(name, error.message || "", params);
+            });
+        });
+        return validator;
+    }
+};
@@ -38,4 +38,62 @@ module.exports = class ABField extends ABFieldCore {
     ///
     /// Instance Methods
     ///
+
+    /**
+     * isValidData()
+     * check this field's value in data, and add any problems to validator.
+     * Field types that check more than this call super.isValidData() first.
+     * @param {obj} data
+     * @param {ABValidator} validator
+     */
+    isValidData(data, validator) {
+        if (
+            this.settings &&
+            this.settings.required &&
+            ABField.isEmptyValue(data[this.columnName])
+        ) {
+            validator.addError(this.columnName, "This is a required field", {
+                rule: "required"
+            });
+        }
+    }
+
+    /**
+     * isValidText()
+     * check that this field's value is text of at most maxLength characters.
+     * For the text field types.
+     * @param {obj} data
+     * @param {ABValidator} validator
+     * @param {int} maxLength
+     */
+    isValidText(data, validator, maxLength) {
+        var value = data[this.columnName];
+        if (ABField.isEmptyValue(value)) return;
+
+        if (typeof value != "string" && typeof value != "number") {
+            validator.addError(this.columnName, "Should be text", {
+                rule: "string"
+            });
+        } else if (String(value).length > maxLength) {
+            validator.addError(
+                this.columnName,
+                `Should be at most ${maxLength} characters`,
+                { rule: "maxLength", maxLength: maxLength }
+            );
+        }
+    }
+
+    /**
+     * Does a value count as not filled in?
+     * @param {*} value
+     * @return {bool}
+     */
+    static isEmptyValue(value) {
+        return (
+            value === null ||
+            typeof value == "undefined" ||
+            (typeof value == "string" && value.trim() === "") ||
+            (Array.isArray(value) && value.length == 0)
+        );
+    }
 };
@@ -7,8 +7,30 @@
 
 var ABFieldBooleanCore = require("../../core/dataFields/ABFieldBooleanCore");
 
+var ABField = require("./ABField");
+
 module.exports = class ABFieldBoolean extends ABFieldBooleanCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * @param {obj} data
+     * @param {ABValidator} validator
+     */
+    isValidData(data, validator) {
+        super.isValidData(data, validator);
+
+        var value = data[this.columnName];
+        if (ABField.isEmptyValue(value)) return;
+
+        if (
+            [true, false, 1, 0, "1", "0", "true", "false"].indexOf(value) == -1
+        ) {
+            validator.addError(this.columnName, "Should be yes or no", {
+                rule: "boolean"
+            });
+        }
+    }
 };
@@ -7,8 +7,29 @@
 
 var ABFieldDateCore = require("../../core/dataFields/ABFieldDateCore");
 
+var ABField = require("./ABField");
+
 module.exports = class ABFieldDate extends ABFieldDateCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * @param {obj} data
+     * @param {ABValidator} validator
+     */
+    isValidData(data, validator) {
+        super.isValidData(data, validator);
+
+        var value = data[this.columnName];
+        if (ABField.isEmptyValue(value)) return;
+
+        var date = value instanceof Date ? value : new Date(value);
+        if (typeof value == "boolean" || isNaN(date.getTime())) {
+            validator.addError(this.columnName, "Should be a date", {
+                rule: "date"
+            });
+        }
+    }
 };
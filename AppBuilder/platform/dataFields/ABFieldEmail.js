@@ -7,8 +7,36 @@
 
 var ABFieldEmailCore = require("../../core/dataFields/ABFieldEmailCore");
 
+var ABField = require("./ABField");
+
+// the length of the database column
+var MAX_LENGTH = 255;
+
+// something@somewhere.tld
+var EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 module.exports = class ABFieldEmail extends ABFieldEmailCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * @param {obj} data
+     * @param {ABValidator} validator
+     */
+    isValidData(data, validator) {
+        super.isValidData(data, validator);
+
+        var value = data[this.columnName];
+        if (ABField.isEmptyValue(value)) return;
+
+        if (!EMAIL_FORMAT.test(String(value).trim())) {
+            validator.addError(this.columnName, "Should be an email address", {
+                rule: "email"
+            });
+        } else {
+            this.isValidText(data, validator, MAX_LENGTH);
+        }
+    }
 };
@@ -11,4 +11,10 @@ module.exports = class ABFieldFormula extends ABFieldFormulaCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * the value is computed, so there is nothing to check.
+     */
+    isValidData(/* data, validator */) {}
 };
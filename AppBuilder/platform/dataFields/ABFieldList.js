@@ -7,8 +7,45 @@
 
 var ABFieldListCore = require("../../core/dataFields/ABFieldListCore");
 
+var ABField = require("./ABField");
+
 module.exports = class ABFieldList extends ABFieldListCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * the value has to be one of the field's options, or several of them if
+     * the field allows it.
+     * @param {obj} data
+     * @param {ABValidator} validator
+     */
+    isValidData(data, validator) {
+        super.isValidData(data, validator);
+
+        var value = data[this.columnName];
+        if (ABField.isEmptyValue(value)) return;
+
+        var options = (this.settings.options || []).map((o) => {
+            return String(o.id);
+        });
+        var values = [].concat(value);
+        if (values.length > 1 && !this.settings.isMultiple) {
+            validator.addError(this.columnName, "Choose only one option", {
+                rule: "single"
+            });
+            return;
+        }
+        values.forEach((v) => {
+            var id = v && typeof v == "object" ? v.id : v;
+            if (options.indexOf(String(id)) == -1) {
+                validator.addError(
+                    this.columnName,
+                    `"${id}" is not one of the options`,
+                    { rule: "in", value: id }
+                );
+            }
+        });
+    }
 };
@@ -7,8 +7,21 @@
 
 var ABFieldLongTextCore = require("../../core/dataFields/ABFieldLongTextCore");
 
+// the length of the database column
+var MAX_LENGTH = 65535;
+
 module.exports = class ABFieldLongText extends ABFieldLongTextCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * @param {obj} data
+     * @param {ABValidator} validator
+     */
+    isValidData(data, validator) {
+        super.isValidData(data, validator);
+        this.isValidText(data, validator, MAX_LENGTH);
+    }
 };
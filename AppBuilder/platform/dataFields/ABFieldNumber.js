@@ -7,8 +7,55 @@
 
 var ABFieldNumberCore = require("../../core/dataFields/ABFieldNumberCore");
 
+var ABField = require("./ABField");
+
 module.exports = class ABFieldNumber extends ABFieldNumberCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * the value has to be a number, within the field's minimum and maximum
+     * if it has them.
+     * @param {obj} data
+     * @param {ABValidator} validator
+     */
+    isValidData(data, validator) {
+        super.isValidData(data, validator);
+
+        var value = data[this.columnName];
+        if (ABField.isEmptyValue(value)) return;
+
+        var number = Number(value);
+        if (typeof value == "boolean" || !isFinite(number)) {
+            validator.addError(this.columnName, "Should be a number", {
+                rule: "number"
+            });
+            return;
+        }
+        if (this.settings.typeDecimals == "none" && !Number.isInteger(number)) {
+            validator.addError(this.columnName, "Should be a whole number", {
+                rule: "integer"
+            });
+        }
+
+        if (!this.settings.validation) return;
+        var min = parseFloat(this.settings.validateMinimum);
+        var max = parseFloat(this.settings.validateMaximum);
+        if (!isNaN(min) && number < min) {
+            validator.addError(
+                this.columnName,
+                `Should be greater than or equal to ${min}`,
+                { rule: "min", min: min }
+            );
+        }
+        if (!isNaN(max) && number > max) {
+            validator.addError(
+                this.columnName,
+                `Should be less than or equal to ${max}`,
+                { rule: "max", max: max }
+            );
+        }
+    }
 };
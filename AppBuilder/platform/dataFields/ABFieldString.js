@@ -7,8 +7,21 @@
 
 var ABFieldStringCore = require("../../core/dataFields/ABFieldStringCore");
 
+// the length of the database column
+var MAX_LENGTH = 255;
+
 module.exports = class ABFieldString extends ABFieldStringCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * @param {obj} data
+     * @param {ABValidator} validator
+     */
+    isValidData(data, validator) {
+        super.isValidData(data, validator);
+        this.isValidText(data, validator, MAX_LENGTH);
+    }
 };
@@ -11,4 +11,10 @@ module.exports = class ABFieldTextFormula extends ABFieldTextFormulaCore {
     constructor(attributes, object) {
         super(attributes, object);
     }
+
+    /**
+     * isValidData()
+     * the value is computed, so there is nothing to check.
+     */
+    isValidData(/* data, validator */) {}
 };
@@ -5,6 +5,7 @@
  */
 
 var ABViewDataCollectionCore = require("../../core/views/ABViewDataCollectionCore");
+var ABModelLocal = require("../ABModelLocal");
 
 var Analytics = require("../../../resources/Analytics").default;
 var Network = require("../../../resources/Network").default;
@@ -109,38 +110,86 @@ module.exports = class ABViewDataCollection extends ABViewDataCollectionCore {
                 console.log(":: context:", context);
                 console.log(":: data:", data);
 
-                var firstStep;
-                // will be a Promise based on which of the next steps
-                // should be executed.
+                var model = this.datasource.model().local();
+
+                // Save the incoming data, and our reduced conditions, together
+                var firstStep = storage.transaction((tx) => {
+                    var sync;
+                    // will be a Promise based on which of the next steps
+                    // should be executed.
+
+                    // if context is from a "uninitialized" state
+                    //    OR this datacollection is a Server Centric set of data:
+                    //    OR this is a Query based datacollection
+                    var isRemotePreferred =
+                        context.verb == "uninitialized" ||
+                        this.isServerPreferred() ||
+                        this.settings.isQuery;
+
+                    if (ABModelLocal.isDelta(data)) {
+                        // only the changes since our last load: merge them,
+                        // then use all our matching records
+                        sync = model
+                            .syncDelta(
+                                data,
+                                context,
+                                isRemotePreferred ? "remote" : "local",
+                                tx
+                            )
+                            .then((changed) => {
+                                if (!context.delta) return changed;
+                                var workspace =
+                                    this.settings.objectWorkspace || {};
+                                return model.findAll(
+                                    {
+                                        where: context.delta.where,
+                                        sort: workspace.sortFields
+                                    },
+                                    tx
+                                );
+                            });
+                    } else if (isRemotePreferred) {
+                        // we need to just accept all the data that came in.
+                        sync = model.syncRemoteMaster(data, tx);
+                    } else {
+                        // this is a refresh, with local data that is Preferred:
+                        sync = model.syncLocalMaster(data, tx);
+                    }
 
-                // if context is from a "uninitialized" state
-                //    OR this datacollection is a Server Centric set of data:
-                //    OR this is a Query based datacollection
-                if (
-                    context.verb == "uninitialized" ||
-                    this.isServerPreferred() ||
-                    this.settings.isQuery
-                ) {
-                    // we need to just accept all the data that came in.
-                    firstStep = this.datasource
-                        .model()
-                        .local()
-                        .syncRemoteMaster(data);
-                } else {
-                    // this is a refresh, with local data that is Preferred:
-                    firstStep = this.datasource
-                        .model()
-                        .local()
-                        .syncLocalMaster(data);
-                }
+                    // all the records: only ask for what changed after this,
+                    // next time
+                    if (
+                        !ABModelLocal.isDelta(data) &&
+                        context.delta &&
+                        context.delta.requested
+                    ) {
+                        sync = sync.then((normalizedData) => {
+                            return model
+                                .saveWatermark(
+                                    context.id,
+                                    context.delta.where,
+                                    context.delta.requested,
+                                    tx
+                                )
+                                .then(() => {
+                                    return normalizedData;
+                                });
+                        });
+                    }
 
-                firstStep
-                    .then((normalizedData) => {
-                        if (this.isServerPreferred()) {
-                            this.reduceCondition(normalizedData);
+                    return sync.then((normalizedData) => {
+                        if (!this.isServerPreferred()) {
+                            return normalizedData;
                         }
-                        return normalizedData;
-                    })
+                        return this.reduceCondition(normalizedData, tx).then(
+                            () => {
+                                return normalizedData;
+                            }
+                        );
+                    });
+                });
+
+                firstStep
                     .then((normalizedData) => {
                         this.processIncomingData(normalizedData);
                         return normalizedData;
@@ -155,6 +204,13 @@ module.exports = class ABViewDataCollection extends ABViewDataCollectionCore {
 
                         // TODO: Legacy: remove this once Events and HRIS are upgraded
                         this.emit("data", normalizedData);
+                    })
+                    .catch((err) => {
+                        console.error(
+                            "!!! error trying to store incoming data:",
+                            err
+                        );
+                        Analytics.logError(err);
                     });
             }
         }); // end Network.on()
@@ -209,7 +265,9 @@ module.exports = class ABViewDataCollection extends ABViewDataCollectionCore {
 
                     // if I'm maintaining a set of reducedConditions:
                     var remainingEntries = this.QL().value();
-                    this.reduceCondition(remainingEntries);
+                    this.reduceCondition(remainingEntries).catch((err) => {
+                        Analytics.logError(err);
+                    });
 
                     // alert anyone attached to us that we have DELETEd
                     // data.
@@ -1794,46 +1852,48 @@ module.exports = class ABViewDataCollection extends ABViewDataCollectionCore {
      * Later when performing filter.isValid() operations, we can use this
      * instead of trying to parse through embedded queries and filters...
      * @param {array} values ABObject values that represent the data for this query.
+     * @param {StorageTransaction} [tx]  save as part of this transaction
      * @return {Promise} resolved when conditions are stored
      */
-    reduceCondition(values) {
-        new Promise((resolve, reject) => {
-            var pk = this.datasource.PK();
-            var listIDs = values.map((v) => {
-                return v[pk];
-            });
-            this._reducedConditions = {
-                pk: pk,
-                values: listIDs
-            };
-
-            if (this.__filterComponent) {
-                this.__filterComponent.setReducedConditions(
-                    this._reducedConditions
-                );
-            }
+    reduceCondition(values, tx) {
+        var pk = this.datasource.PK();
+        var listIDs = values.map((v) => {
+            return v[pk];
+        });
+        this._reducedConditions = {
+            pk: pk,
+            values: listIDs
+        };
+
+        if (this.__filterComponent) {
+            this.__filterComponent.setReducedConditions(
+                this._reducedConditions
+            );
+        }
 
-            //
-            //  save these to disk
-            //
-            var lock = storage.Lock(this.refStorage());
-            return lock
-                .acquire()
+        //
+        //  save these to disk
+        //
+        var save = (tx) => {
+            return tx
+                .lock(this.refStorage())
                 .then(() => {
-                    return storage.get(this.refStorage()).then((data) => {
-                        // shouldn't have uninitialized data at this point,
-                        // but just in case:
-                        data = data || {};
+                    return tx.get(this.refStorage());
+                })
+                .then((data) => {
+                    // shouldn't have uninitialized data at this point,
+                    // but just in case:
+                    data = data || {};
 
-                        data.reducedConditions = this._reducedConditions;
+                    data.reducedConditions = this._reducedConditions;
 
-                        return storage.set(this.refStorage(), data);
-                    });
-                })
-                .then(() => {
-                    lock.release();
+                    return tx.set(this.refStorage(), data);
                 });
-        });
+        };
+        if (tx) {
+            return save(tx);
+        }
+        return storage.transaction(save);
     }
 
     /**
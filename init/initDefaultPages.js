@@ -4,6 +4,7 @@
  */
 import analytics from "../resources/Analytics.js";
 import account from "../resources/Account.js";
+import { storage } from "../resources/Storage.js";
 
 import LoadingPage from "../pages/loadingPage.js";
 import PasswordPage from "../pages/password/passwordPage.js";
@@ -59,6 +60,12 @@ export default {
             pages.app.show();
         });
 
+        // The app was locked after being in the background. Show the unlock
+        // screen over it.
+        storage.on("locked", () => {
+            pages.password.lock();
+        });
+
         return Promise.resolve(); // nothing async, so just return
     },
     show: (pageKey) => {
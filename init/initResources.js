@@ -36,7 +36,10 @@ export default {
         }
 
         if (config.backgroundTimeout.enabled)
-            backgroundTimeout(config.backgroundTimeout.duration);
+            backgroundTimeout(
+                config.backgroundTimeout.duration,
+                config.backgroundTimeout.mode
+            );
 
         return Promise.resolve(); // nothing async, so just return
     }
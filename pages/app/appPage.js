@@ -14,11 +14,13 @@ import ABApplicationList from "../../../applications/applications";
 import account from "../../resources/Account.js";
 import analytics from "../../resources/Analytics.js";
 import appFeedback from "../../resources/AppFeedback.js";
+import backup from "../../resources/Backup.js";
 import Busy from "../../resources/Busy.js";
 import camera from "../../resources/Camera.js";
 import log from "../../resources/Log.js";
 import Network from "../../resources/Network.js";
 import notifications from "../../resources/Notifications.js";
+import passwordPolicy from "../../resources/PasswordPolicy.js";
 import qrPage from "../qrScanner/qrScanner.js";
 import Shake from "shake.js";
 import { storage, Storage } from "../../resources/Storage.js";
@@ -97,10 +99,12 @@ export default class AppPage extends Page {
 
                     account: account,
                     analytics: analytics,
+                    backup: backup,
                     busy: Busy,
                     camera: camera,
                     log: log,
                     network: Network,
+                    passwordPolicy: passwordPolicy,
                     storage: storage,
                     updater: updater,
 
@@ -166,6 +170,38 @@ export default class AppPage extends Page {
         storage.on("ready", () => {
             this.prepareData();
         });
+
+        // Return to the same page after being soft locked.
+        storage.on("locked", () => {
+            if (this.appView) {
+                this.lockedRoute = this.appView.router.currentRoute.url;
+            }
+        });
+        storage.on("unlocked", () => {
+            var route = this.lockedRoute;
+            this.lockedRoute = null;
+            if (
+                route &&
+                this.appView &&
+                this.appView.router.currentRoute.url != route
+            ) {
+                this.appView.router.navigate(route, { animate: false });
+            }
+        });
+
+        // Offer to free up space when storage is getting full.
+        storage.on("quota.warning", (info) => {
+            var text = info.isFull
+                ? "<t>There is no room left to save data on this phone.</t>"
+                : "<t>Storage space for this app is almost full.</t>";
+            this.app.dialog.confirm(
+                text + " <t>Would you like to see what is using it?</t>",
+                "<t>Storage</t>",
+                () => {
+                    this.components["settings"].showStorage();
+                }
+            );
+        });
     }
 
     /**
@@ -416,6 +452,26 @@ export default class AppPage extends Page {
                     // Settings page
                     path: "/settings/",
                     componentUrl: "./lib/applications/settings/templates/settings.html"
+                },
+                {
+                    // Change password page (see SettingsComponent)
+                    path: "/settings/password/",
+                    componentUrl: "./lib/platform/pages/settings/change-password.html"
+                },
+                {
+                    // Backup & restore page (see SettingsComponent)
+                    path: "/settings/backup/",
+                    componentUrl: "./lib/platform/pages/settings/backup.html"
+                },
+                {
+                    // Storage usage page (see SettingsComponent)
+                    path: "/settings/storage/",
+                    componentUrl: "./lib/platform/pages/settings/storage.html"
+                },
+                {
+                    // Sync conflicts page (see SettingsComponent)
+                    path: "/settings/conflicts/",
+                    componentUrl: "./lib/platform/pages/settings/conflicts.html"
                 }
             ]
         };
@@ -727,6 +783,64 @@ export default class AppPage extends Page {
             });
     }
 
+    /**
+     * Clear the locally stored data of one application and fetch it again
+     * from the server.
+     *
+     * Changes made on this device are lost when the data is cleared, so this
+     * is refused while the application has any that haven't been sent, or
+     * conflicts to resolve.
+     *
+     * @param {ABAppController} abApp
+     * @return {Promise}
+     *      rejects with .code "E_UNSYNCED_CHANGES" if the data can't be
+     *      cleared yet.
+     */
+    clearApplicationCache(abApp) {
+        return Promise.all([
+            abApp.unsynced ? abApp.unsynced() : [],
+            abApp.conflicts ? abApp.conflicts() : []
+        ]).then((lists) => {
+            if (lists[0].length || lists[1].length) {
+                var error = new Error(
+                    "<t>This application has changes that have not been sent yet, or conflicts to resolve. Send them, and resolve the conflicts, before clearing its data.</t>"
+                );
+                error.code = "E_UNSYNCED_CHANGES";
+                throw error;
+            }
+            return this.resetApplicationCache(abApp);
+        });
+    }
+
+    /**
+     * resetApplicationCache()
+     * see clearApplicationCache()
+     * @param {ABAppController} abApp
+     * @return {Promise}
+     */
+    resetApplicationCache(abApp) {
+        this.openRelayLoader("<t>Updating Data</t>");
+        analytics.event("clear application cache", { app: abApp.id });
+
+        return Promise.resolve()
+            .then(() => {
+                if (abApp.clearSystemData) {
+                    return abApp.clearSystemData();
+                }
+            })
+            .then(() => {
+                return abApp.reset();
+            })
+            .then(() => {
+                this.closeRelayLoader();
+            })
+            .catch((err) => {
+                this.closeRelayLoader();
+                analytics.logError(err);
+                throw err;
+            });
+    }
+
     /**
      * importCancel()
      * allows our applications to cancel the application reset process if they
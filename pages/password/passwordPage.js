@@ -6,7 +6,10 @@
 
 import analytics from "../../resources/Analytics.js";
 import Page from "../../resources/Page.js";
+import passwordPolicy from "../../resources/PasswordPolicy.js";
 import { storage } from "../../resources/Storage.js";
+import { t } from "../../resources/Translate.js";
+import unlockGuard from "../../resources/UnlockGuard.js";
 
 // For development only
 const disableEncryption = false;
@@ -39,15 +42,37 @@ export default class PasswordPage extends Page {
         storage.get("__sdc_initialized").then((value) => {
             // Reveal the SETUP screen for first time use,
             if (value != 1) {
-                this.startChecking();
+                // with the app's password policy, not just the defaults
+                passwordPolicy.load().then(() => {
+                    this.startChecking();
+                });
                 this.$setup.show();
             }
             // or the SECURITY CHECK screen after that.
             else {
                 this.$unlock.show();
+                unlockGuard
+                    .load()
+                    .then(() => {
+                        this.refreshLockout();
+                    })
+                    .catch((err) => {
+                        analytics.logError(err);
+                    });
             }
         });
 
+        // Let the user know which pass phrase to use if a password change
+        // did not finish.
+        storage
+            .get("__sdc_rekey", { resetAppOnFailure: false })
+            .then((journal) => {
+                if (journal && journal.state == "copying") {
+                    this.$unlock.find(".warning-rekey-pending").show();
+                }
+            })
+            .catch(() => {});
+
         // On Setup screen, handle TAB/ENTER key, or Android/iOS equivalent
         this.$setup_p1.on("keypress", (ev) => {
             if (ev.keyCode == 9 || ev.keyCode == 13) {
@@ -112,15 +137,22 @@ export default class PasswordPage extends Page {
             ev.preventDefault();
             this.$unlock_p1.blur();
             this.$unlock.find(".warning-wrong-pass").hide();
-            this.scanAnimation();
 
-            storage
-                .setPassword(this.$unlock_p1.val())
+            // The attempt is counted before the check
+            unlockGuard
+                .beginAttempt()
+                .then(() => {
+                    this.scanAnimation();
+                    return storage.setPassword(this.$unlock_p1.val());
+                })
                 .then(() => {
                     return storage.testCrypto();
                 })
                 .then(() => {
                     this.scanAnimationStop();
+                    clearTimeout(this.lockoutTimer);
+                    this.$unlock.find(".warning").hide();
+                    unlockGuard.succeeded();
                     this.emit("passwordReady");
                     return this.splitAnimation();
                 })
@@ -128,17 +160,57 @@ export default class PasswordPage extends Page {
                     this.emit("passwordDone");
                     $go.prop("disabled", false);
                 })
-                .catch((/*err*/) => {
+                .catch((err) => {
                     this.scanAnimationStop();
+                    if (err && err.code == "E_LOCKED_OUT") {
+                        this.refreshLockout();
+                        return;
+                    }
+                    if (!err || err.code != "E_WRONG_PASSWORD") {
+                        // the storage failed, not the pass phrase
+                        unlockGuard.cancelAttempt();
+                        this.refreshLockout();
+                        $.alert(
+                            (err && err.message) ||
+                                "<t>Something went wrong</t>",
+                            "<t>Error</t>"
+                        );
+                        analytics.logError(err);
+                        return;
+                    }
+
                     analytics.event("wrong password");
                     this.$unlock.find(".warning-wrong-pass").show();
 
                     // Trigger wrong-password CSS animation
                     this.$unlock_p1.removeClass("wrong").addClass("wrong");
                     setTimeout(() => {
-                        $go.prop("disabled", false);
                         this.$unlock_p1.removeClass("wrong");
+                        this.refreshLockout();
                     }, 1000);
+
+                    unlockGuard
+                        .failed()
+                        .then((wasErased) => {
+                            if (wasErased) {
+                                $.alert(
+                                    "<t>Too many failed attempts. All data on this device has been erased.</t>",
+                                    "<t>Error</t>",
+                                    () => {
+                                        document.location.reload();
+                                    }
+                                );
+                            }
+                        })
+                        .catch((err) => {
+                            // saving the attempt, or the wipe, failed
+                            $.alert(
+                                (err && err.message) ||
+                                    "<t>Something went wrong</t>",
+                                "<t>Error</t>"
+                            );
+                            analytics.logError(err);
+                        });
                 });
         });
     }
@@ -151,6 +223,66 @@ export default class PasswordPage extends Page {
         }
     }
 
+    /**
+     * Show the unlock screen again after `storage.lock()`.  The app page is
+     * only hidden, so it keeps its state.
+     */
+    lock() {
+        this.stopChecking();
+        this.$setup.hide();
+        this.$unlock_p1.val("");
+        this.$unlock.find(".warning").hide();
+        this.$unlock.show();
+        this.show();
+
+        unlockGuard
+            .load()
+            .then(() => {
+                this.refreshLockout();
+            })
+            .catch((err) => {
+                analytics.logError(err);
+            });
+    }
+
+    /**
+     * On the unlock screen, show how long until another attempt is allowed,
+     * and how many attempts are left before the data is erased.
+     */
+    refreshLockout() {
+        clearTimeout(this.lockoutTimer);
+
+        var $go = this.$(".go button");
+        var $lockedOut = this.$unlock.find(".warning-locked-out");
+        var remaining = Math.ceil(unlockGuard.lockoutRemaining() / 1000);
+        if (remaining > 0) {
+            var seconds = ("0" + (remaining % 60)).slice(-2);
+            $lockedOut
+                .find(".lockout-time")
+                .text(Math.floor(remaining / 60) + ":" + seconds);
+            $lockedOut.show();
+            $go.prop("disabled", true);
+            this.lockoutTimer = setTimeout(() => {
+                unlockGuard.elapse().catch((err) => {
+                    analytics.logError(err);
+                });
+                this.refreshLockout();
+            }, 1000);
+        } else {
+            $lockedOut.hide();
+            $go.prop("disabled", false);
+        }
+
+        var $wipe = this.$unlock.find(".warning-wipe");
+        var attempts = unlockGuard.attemptsRemaining();
+        if (attempts !== null && unlockGuard.state.failures > 0) {
+            $wipe.find(".attempts-remaining").text(attempts);
+            $wipe.show();
+        } else {
+            $wipe.hide();
+        }
+    }
+
     /**
      * On the password setup page, do checks for mismatches and shortness.
      */
@@ -166,8 +298,16 @@ export default class PasswordPage extends Page {
                 isValid = false;
             }
 
-            // Password must be at least 8 chars long
-            if (p1 && p1.length < 8) {
+            // Password must meet the policy
+            var check = passwordPolicy.check(p1 || "");
+            this.showStrength(p1 ? check : null);
+            if (p1 && check.score < passwordPolicy.policy.minScore) {
+                this.$setup.find(".warning-too-weak").show();
+                isValid = false;
+            } else {
+                this.$setup.find(".warning-too-weak").hide();
+            }
+            if (p1 && p1.length < passwordPolicy.policy.minLength) {
                 this.$setup.find(".warning-too-short").show();
                 isValid = false;
             } else {
@@ -196,6 +336,39 @@ export default class PasswordPage extends Page {
         clearInterval(this.checkInterval);
     }
 
+    /**
+     * Update the strength meter on the password setup page.
+     * @param {object} check
+     *      the result of passwordPolicy.check(), or null to hide the meter.
+     */
+    showStrength(check) {
+        var $strength = this.$setup.find(".strength");
+        if (!check) {
+            $strength.hide();
+            this.lastStrength = null;
+            return;
+        }
+
+        // only redraw when something changed
+        var key = check.score + ":" + check.hints.join();
+        if (key == this.lastStrength) return;
+        this.lastStrength = key;
+
+        $strength
+            .find(".strength-bar")
+            .attr("class", "strength-bar score-" + check.score)
+            .css("width", ((check.score + 1) / 5) * 100 + "%");
+        $strength.find(".strength-label").text(t(check.label));
+
+        var $hints = $strength.find(".strength-hints").empty();
+        check.hints.forEach((hint) => {
+            $("<li>")
+                .text(t(hint))
+                .appendTo($hints);
+        });
+        $strength.show();
+    }
+
     /**
      * This animation plays while the storage system forces a password check
      * delay.
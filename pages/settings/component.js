@@ -152,6 +152,7 @@ export default class Component extends EventEmitter {
                     callback(value);
                 } else {
                     this[key] = value || defaultValue;
+                    this.watchData(key, defaultValue);
                 }
 
                 return value;
@@ -167,6 +168,27 @@ export default class Component extends EventEmitter {
             });
     }
 
+    /**
+     * Keep `this[key]` up to date when the stored value changes, and emit
+     * "data.<key>" with the new value.
+     *
+     * @param {String} key
+     * @param {anything} [defaultValue]
+     */
+    watchData(key, defaultValue = null) {
+        this._unwatch = this._unwatch || {};
+        if (this._unwatch[key]) return;
+
+        this._unwatch[key] = this.storage.watch(key, (change) => {
+            var value = change.value || defaultValue;
+            // ignore our own saveData()
+            if (JSON.stringify(value) == JSON.stringify(this[key])) return;
+
+            this[key] = value;
+            this.emit("data." + key, value);
+        });
+    }
+
     /**
      * Save a value to persistent storage.
      *
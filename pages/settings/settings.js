@@ -113,6 +113,38 @@ export default class SettingsComponent extends Component {
         qrPage.show();
     }
 
+    /**
+     * Open the Change Password page.
+     */
+    showChangePassword() {
+        analytics.event("change password");
+        this.app.views.main.router.navigate("/settings/password/");
+    }
+
+    /**
+     * Open the Backup & Restore page.
+     */
+    showBackup() {
+        analytics.event("backup");
+        this.app.views.main.router.navigate("/settings/backup/");
+    }
+
+    /**
+     * Open the Storage usage page.
+     */
+    showStorage() {
+        analytics.event("storage usage");
+        this.app.views.main.router.navigate("/settings/storage/");
+    }
+
+    /**
+     * Open the page for resolving records changed both here and on the server.
+     */
+    showConflicts() {
+        analytics.event("sync conflicts");
+        this.app.views.main.router.navigate("/settings/conflicts/");
+    }
+
     // The AppPage controller will pass in a reference to the PFS object
     // setPFS(pfs) {
     //     this.pfs = pfs;
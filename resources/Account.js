@@ -16,6 +16,9 @@ import updater from "./Updater.js";
 
 var config = require("../../config/config.js");
 
+// How long (ms) the user's site data is kept before it is requested again
+const USER_DATA_TTL = 7 * 24 * 60 * 60 * 1000;
+
 class Account extends EventEmitter {
     constructor() {
         super();
@@ -30,6 +33,9 @@ class Account extends EventEmitter {
         this.relayReady = null;
         // {Deferred} : used to track a pending call to load the
         // site user data ( .initUserData() )
+
+        this.isListening = false;
+        // {bool} : is our handler for the site user data response set up?
     }
 
     /**
@@ -46,12 +52,20 @@ class Account extends EventEmitter {
                 .then((value) => {
                     this.authToken = value;
                     console.log("account credentials ready");
-                    return storage.get("siteUserData");
+                    return storage.get("siteUserData", { withExpiry: true });
                 })
-                .then((siteUserData) => {
+                .then((entry) => {
+                    var siteUserData = entry && entry.value;
                     if (siteUserData) {
                         this.username = siteUserData.user.username;
                     }
+                    // Keep using the old data until the new data arrives.
+                    // Data saved before it had a ttl is refreshed too.
+                    var isStale =
+                        entry && (entry.isExpired || !entry.expiresAt);
+                    if (isStale && this.authToken) {
+                        this.requestUserData();
+                    }
                     resolve();
                 });
         });
@@ -67,24 +81,7 @@ class Account extends EventEmitter {
                 // make the network call to store the data.
                 if (!this.relayReady) {
                     this.relayReady = $.Deferred();
-
-                    // create a callback for our network job response:
-                    var responseContext = {
-                        key: "platform.account.username",
-                        context: {}
-                    };
-                    Network.on(responseContext.key, (context, data) => {
-                        storage.set("siteUserData", data).then(() => {
-                            this.username = data.user.username;
-                            this.relayReady.resolve();
-                        });
-                    });
-
-                    // Call the url
-                    Network.get(
-                        { url: config.appbuilder.routes.userData },
-                        responseContext
-                    );
+                    this.requestUserData();
                 }
 
                 // every time through, we make sure the returned promise
@@ -96,6 +93,37 @@ class Account extends EventEmitter {
         });
     }
 
+    /**
+     * Request the user's site data from the server.  It is saved when the
+     * response arrives.
+     */
+    requestUserData() {
+        // create a callback for our network job response:
+        var responseContext = {
+            key: "platform.account.username",
+            context: {}
+        };
+        if (!this.isListening) {
+            this.isListening = true;
+            Network.on(responseContext.key, (context, data) => {
+                storage
+                    .set("siteUserData", data, { ttl: USER_DATA_TTL })
+                    .then(() => {
+                        this.username = data.user.username;
+                        if (this.relayReady) {
+                            this.relayReady.resolve();
+                        }
+                    });
+            });
+        }
+
+        // Call the url
+        Network.get(
+            { url: config.appbuilder.routes.userData },
+            responseContext
+        );
+    }
+
     /**
      * Reset credentials and set a new auth token.
      * Used by importSettings(), and also by appPage when migrating from the
@@ -1,13 +1,35 @@
 /**
- * Reload the app if it goes into the background for too long.
+ * Lock the app if it goes into the background for too long.
+ *
+ * mode "lock" clears the key from memory and shows the unlock screen over the
+ * app, which keeps its current page and state.  mode "reload" reloads the
+ * whole app instead, as does "lock" when storage is not encrypted.
  */
 "use strict";
 
 import moment from "moment";
+import analytics from "./Analytics.js";
+import { storage } from "./Storage.js";
 
 var pauseTime;
 
-export default function BackgroundTimeout(minutesToWait = 9) {
+/**
+ * Fade out and reload the app.
+ */
+function reload() {
+    var node = document.createElement("DIV");
+    node.id = "lockFade";
+    node.classList.add("lockFade");
+    document.getElementsByTagName("BODY")[0].appendChild(node);
+    setTimeout(function() {
+        document.getElementById("lockFade").classList.add("lockFadeIn");
+        setTimeout(function() {
+            window.location.reload();
+        }, 600);
+    }, 50);
+}
+
+export default function BackgroundTimeout(minutesToWait = 9, mode = "lock") {
     // Listen for when the app goes into the background and store a timestamp
     document.addEventListener(
         "pause",
@@ -29,20 +51,16 @@ export default function BackgroundTimeout(minutesToWait = 9) {
                     var minPassed = now.diff(pauseTime, "minutes");
                     console.log("Time Lapse:", minPassed, " minutes");
                     if (minPassed > minutesToWait) {
-                        var node = document.createElement("DIV");
-                        node.id = "lockFade";
-                        node.classList.add("lockFade");
-                        document
-                            .getElementsByTagName("BODY")[0]
-                            .appendChild(node);
-                        setTimeout(function() {
-                            document
-                                .getElementById("lockFade")
-                                .classList.add("lockFadeIn");
-                            setTimeout(function() {
-                                window.location.reload();
-                            }, 600);
-                        }, 50);
+                        if (mode != "lock" || !storage.isEncrypted()) {
+                            // there is no unlock screen without a pass phrase
+                            reload();
+                        } else if (storage.isUnlocked) {
+                            storage.lock().catch((err) => {
+                                analytics.logError(err);
+                                reload();
+                            });
+                        }
+                        // else the unlock screen is already showing
                     }
                 }
             }, 0);
@@ -0,0 +1,258 @@
+/**
+ * @class Backup
+ *
+ * Moves a user's local data to another device.
+ *
+ * `export()` gathers all stored data and photo files into one encrypted file,
+ * protected by a pass phrase the user chooses.  `restore()` replaces this
+ * device's data with the contents of that file.
+ *
+ * The relay credentials (appUUID, AES key) belong to the device they were
+ * made on, so they are not restored.  The relay is reset and will initialize
+ * again with new ones.  Requests that were still queued on the old device are
+ * re-packaged for this one by `NetworkRelay.adoptRestoredQueue()`.  Responses
+ * to requests that the old device had already sent will still go to the old
+ * device.
+ *
+ * The whole backup is built in memory, so `export()` refuses to include more
+ * photos than BACKUP_MAX_MB.
+ *
+ * Exports a singleton instance.
+ */
+"use strict";
+
+import analytics from "./Analytics.js";
+import camera from "./Camera.js";
+import EventEmitter from "eventemitter2";
+import Log from "./Log.js";
+import Network from "./Network.js";
+import { storage } from "./Storage.js";
+
+var config = require("../../config/config.js");
+
+// Stored values that identify this device to the relay server
+const DEVICE_KEYS = ["aesKey", "rsaPublicKey", "relayState", "appUUID"];
+
+// The most photo data, in MB of base64, a backup may hold. Can be changed with
+// `config.platform.backupMaxMB`.
+const BACKUP_MAX_MB = config.platform.backupMaxMB || 40;
+
+class Backup extends EventEmitter {
+    /**
+     * export()
+     * create an encrypted backup of all local data and photos.
+     *
+     * Emits "progress" (done, total) while photos are read.  Rejects with
+     * an E_BACKUP_TOO_LARGE error once the photos pass BACKUP_MAX_MB.
+     * @param {string} passphrase
+     * @return {Promise}
+     *      Resolves with the backup {string}
+     */
+    export(passphrase) {
+        var attachments = {};
+        var size = 0;
+
+        return camera
+            .listFiles()
+            .catch((err) => {
+                Log("Backup: unable to list photos", err);
+                return [];
+            })
+            .then((names) => {
+                // not earlier backups saved by saveFile()
+                names = names.filter((name) => {
+                    return !name.match(/\.sdcbackup$/);
+                });
+
+                var done = 0;
+                var chain = Promise.resolve();
+                names.forEach((name) => {
+                    chain = chain
+                        .then(() => {
+                            return camera.base64ByName(name);
+                        })
+                        .then((base64) => {
+                            // stop before the next photo, rather than run
+                            // out of memory building the file
+                            size += base64.length;
+                            if (size > BACKUP_MAX_MB * 1024 * 1024) {
+                                var error = new Error(
+                                    "There are too many photos to fit in a backup"
+                                );
+                                error.code = "E_BACKUP_TOO_LARGE";
+                                throw error;
+                            }
+                            attachments[name] = base64;
+                            done++;
+                            this.emit("progress", done, names.length);
+                        });
+                });
+                return chain;
+            })
+            .then(() => {
+                return storage.exportBackup(passphrase, {
+                    attachments: attachments
+                });
+            });
+    }
+
+    /**
+     * restore()
+     * replace all local data and photos with the contents of a backup.
+     * The app should be reloaded afterwards.
+     *
+     * Emits "progress" (done, total) while photos are saved.
+     * @param {string} backup
+     * @param {string} passphrase
+     * @return {Promise}
+     */
+    restore(backup, passphrase) {
+        var result;
+
+        return storage
+            .importBackup(backup, passphrase, { skip: DEVICE_KEYS })
+            .then((_result) => {
+                result = _result;
+
+                var names = Object.keys(result.attachments);
+                var done = 0;
+                var chain = Promise.resolve();
+                names.forEach((name) => {
+                    chain = chain
+                        .then(() => {
+                            var blob = Backup.base64ToBlob(
+                                result.attachments[name]
+                            );
+                            return camera.saveBinaryToName(blob, name);
+                        })
+                        .then(() => {
+                            done++;
+                            this.emit("progress", done, names.length);
+                        });
+                });
+                return chain;
+            })
+            .then(() => {
+                // Remember the old device's credentials so its queued
+                // requests can be re-packaged.
+                var skipped = result.skipped;
+                if (skipped.aesKey && skipped.appUUID) {
+                    return storage.set("relayRestore", {
+                        aesKey: skipped.aesKey,
+                        appUUID: skipped.appUUID
+                    });
+                }
+            })
+            .then(() => {
+                // This device gets its own appUUID and AES key
+                return Network.reset();
+            })
+            .then(() => {
+                analytics.event("backup restore complete");
+            });
+    }
+
+    /**
+     * saveFile()
+     * write a backup to a file the user can get to, and offer to share it
+     * if the device supports that.
+     * @param {string} backup
+     * @return {Promise}
+     *      Resolves with the filename {string}
+     */
+    saveFile(backup) {
+        var filename =
+            "backup-" +
+            new Date()
+                .toISOString()
+                .slice(0, 16)
+                .replace(/[-:T]/g, "") +
+            ".sdcbackup";
+        var blob = new Blob([backup], { type: "application/json" });
+
+        // In a browser, just download it
+        if (!window.cordova) {
+            var link = document.createElement("a");
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            return Promise.resolve(filename);
+        }
+
+        var directory =
+            cordova.file.externalDataDirectory ||
+            cordova.file.documentsDirectory ||
+            cordova.file.dataDirectory;
+
+        return new Promise((resolve, reject) => {
+            window.resolveLocalFileSystemURL(
+                directory,
+                (directoryEntry) => {
+                    directoryEntry.getFile(
+                        filename,
+                        { create: true, exclusive: false },
+                        (fileEntry) => {
+                            fileEntry.createWriter((fileWriter) => {
+                                fileWriter.onwriteend = () => {
+                                    resolve(fileEntry);
+                                };
+                                fileWriter.onerror = reject;
+                                fileWriter.write(blob);
+                            }, reject);
+                        },
+                        reject
+                    );
+                },
+                reject
+            );
+        }).then((fileEntry) => {
+            var sharing = window.plugins && window.plugins.socialsharing;
+            if (sharing) {
+                sharing.shareWithOptions({
+                    files: [fileEntry.toURL()],
+                    subject: filename
+                });
+            }
+            return filename;
+        });
+    }
+
+    /**
+     * readFile()
+     * read a backup from a File chosen by the user.
+     * @param {File} file
+     * @return {Promise}
+     *      Resolves with the backup {string}
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            var reader = new FileReader();
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+            reader.onerror = () => {
+                reject(reader.error);
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Convert base64 encoded data to a Blob.
+     * @param {string} base64
+     * @return {Blob}
+     */
+    static base64ToBlob(base64) {
+        var binary = window.atob(base64);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes]);
+    }
+}
+
+var backup = new Backup();
+export default backup;
@@ -108,6 +108,21 @@ class CameraBrowser extends CameraPlatform {
         });
     }
 
+    /**
+     * List the names of all saved photo files.
+     *
+     * @return {Promise}
+     *      Resolves with [{string}]
+     */
+    listFiles() {
+        if (!this._testDirectoryEntry) {
+            return this.init().then(() => {
+                return this.listFiles();
+            });
+        }
+        return super.listFiles(this._testDirectoryEntry);
+    }
+
     /**
      * Assing an existing photo file a new name within the same directory.
      *
@@ -333,6 +333,42 @@ class CameraPlatform extends EventEmitter {
         });
     }
 
+    /**
+     * List the names of all saved photo files.
+     *
+     * @param {DirectoryEntry} [directoryEntry]
+     *      Default is the app's data directory.
+     * @return {Promise}
+     *      Resolves with [{string}]
+     */
+    listFiles(directoryEntry = this.directoryEntry) {
+        return new Promise((resolve, reject) => {
+            var names = [];
+            var reader = directoryEntry.createReader();
+
+            // readEntries() returns results in batches until it returns none
+            var readBatch = () => {
+                reader.readEntries(
+                    (entries) => {
+                        if (entries.length == 0) {
+                            resolve(names);
+                            return;
+                        }
+                        entries.forEach((entry) => {
+                            if (entry.isFile) names.push(entry.name);
+                        });
+                        readBatch();
+                    },
+                    (err) => {
+                        Log("Unable to list files", err);
+                        reject(err);
+                    }
+                );
+            };
+            readBatch();
+        });
+    }
+
     /**
      * Takes an <IMG> element and sets its src property to the URL of the
      * specified photo.
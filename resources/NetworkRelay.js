@@ -11,9 +11,14 @@ import Lock from "./Lock.js";
 import Log from "./Log";
 import NetworkRest from "./NetworkRest";
 import { storage } from "./Storage.js";
+import unlockGuard from "./UnlockGuard.js";
 
 var config = require("../../config/config.js");
 
+// How long (ms) the server's RSA key and appPolicy are kept before they are
+// requested again
+const SERVER_DATA_TTL = 7 * 24 * 60 * 60 * 1000;
+
 class NetworkRelay extends NetworkRest {
     /**
      * Generate random bytes in hex format.
@@ -201,6 +206,12 @@ class NetworkRelay extends NetworkRest {
                     }
                 })
 
+                // requests queued on the device a backup came from need to be
+                // sent from this one.
+                .then(() => {
+                    return this.adoptRestoredQueue();
+                })
+
                 // if we haven't sent the AES key then we need to send it.
                 .then(() => {
                     Log("NetworkRelay: init stage 7");
@@ -280,13 +291,17 @@ class NetworkRelay extends NetworkRest {
             Log("begin initRSA()");
 
             storage
-                .get("rsaPublicKey")
-                .then((value) => {
+                .get("rsaPublicKey", { withExpiry: true })
+                .then((entry) => {
+                    var value = entry && entry.value;
                     Log(
                         "..stored RSA public key length: ",
                         String(value).length
                     );
-                    if (value && String(value).length > 50) {
+                    var isValid = value && String(value).length > 50;
+                    // keys saved before they had a ttl are refreshed too
+                    var isFresh = entry && entry.expiresAt && !entry.isExpired;
+                    if (isValid && isFresh) {
                         return value;
                     } else {
                         Log("..fetching RSA public key from server");
@@ -307,14 +322,31 @@ class NetworkRelay extends NetworkRest {
                                 // }
 
                                 // go ahead and save these values:
+                                var options = { ttl: SERVER_DATA_TTL };
                                 return Promise.all([
                                     storage.set("uuid", data.userUUID),
-                                    storage.set("rsaPublicKey", data.rsaPublic),
-                                    storage.set("appPolicy", data.appPolicy)
+                                    storage.set(
+                                        "rsaPublicKey",
+                                        data.rsaPublic,
+                                        options
+                                    ),
+                                    storage.set(
+                                        "appPolicy",
+                                        data.appPolicy,
+                                        options
+                                    ),
+                                    unlockGuard.savePolicy(data.appPolicy)
                                 ]).then(() => {
                                     Log("..saved server response");
                                     return data.rsaPublic;
                                 });
+                            })
+                            .catch((err) => {
+                                // keep using an expired key until the
+                                // server can be reached
+                                if (!isValid) throw err;
+                                Log("..using the expired RSA public key");
+                                return value;
                             });
                     }
                 })
@@ -342,9 +374,10 @@ class NetworkRelay extends NetworkRest {
      * return an AES encrypted blob of the stringified representation of the given
      * data.
      * @param {obj} data
+     * @param {string} [aesKey]  hex. Default is our current AES key.
      * @return {string}
      */
-    encrypt(data) {
+    encrypt(data, aesKey = this.aesKey) {
         var encoded = "";
 
         if (data) {
@@ -353,7 +386,7 @@ class NetworkRelay extends NetworkRest {
             var iv = NetworkRelay.randomBytes(16);
             var ciphertext = CryptoJS.AES.encrypt(
                 plaintext,
-                CryptoJS.enc.Hex.parse(this.aesKey),
+                CryptoJS.enc.Hex.parse(aesKey),
                 { iv: CryptoJS.enc.Hex.parse(iv) }
             );
 
@@ -369,9 +402,10 @@ class NetworkRelay extends NetworkRest {
      * return a javascript obj that represents the data that was encrypted
      * using our AES key.
      * @param {string} data
+     * @param {string} [aesKey]  hex. Default is our current AES key.
      * @return {obj}
      */
-    decrypt(data) {
+    decrypt(data, aesKey = this.aesKey) {
         var finalData = null;
 
         if (typeof data == "string" && data.match(":::")) {
@@ -383,7 +417,7 @@ class NetworkRelay extends NetworkRest {
             try {
                 var decrypted = CryptoJS.AES.decrypt(
                     ciphertext,
-                    CryptoJS.enc.Hex.parse(this.aesKey),
+                    CryptoJS.enc.Hex.parse(aesKey),
                     { iv: CryptoJS.enc.Hex.parse(iv) }
                 );
                 plaintext = decrypted.toString(CryptoJS.enc.Utf8);
@@ -562,6 +596,7 @@ class NetworkRelay extends NetworkRest {
     resolveJob(response) {
         var data = null;
         var error = null;
+        var syncDate = null;
         return (
             Promise.resolve()
 
@@ -584,6 +619,11 @@ class NetworkRelay extends NetworkRest {
                     if (data.data) {
                         data = data.data;
                     }
+
+                    // the server's time, from a "changed since" response
+                    if (!error && data && data.syncDate) {
+                        syncDate = data.syncDate;
+                    }
                 })
 
                 .then(() => {
@@ -626,12 +666,91 @@ class NetworkRelay extends NetworkRest {
                 .then(() => {
                     return this.tokenLock.release();
                 })
+                // only once the response is handled, so an error saving the
+                // date can't lose it.
+                .then(() => {
+                    if (!syncDate) return;
+                    return this.saveLastSyncDate(syncDate).catch((err) => {
+                        Log.error("!!! Unable to save the sync date:", err);
+                        analytics.logError(err);
+                    });
+                })
                 .then(() => {
                     this.emit("job.done", "done");
                 })
         );
     }
 
+    /**
+     * saveLastSyncDate()
+     * remember the latest time the server has reported in its responses.
+     * Sync watermarks are compared to it, so the device's clock doesn't
+     * matter.  See ABModelRelay.findAll()
+     * @param {string} date
+     * @return {Promise}
+     */
+    saveLastSyncDate(date) {
+        var last = this.relayState && this.relayState.lastSyncDate;
+        if (!this.relayState || (last && new Date(last) >= new Date(date))) {
+            return Promise.resolve();
+        }
+        this.relayState.lastSyncDate = date;
+        return storage.set("relayState", this.relayState);
+    }
+
+    /**
+     * adoptRestoredQueue()
+     * A restored backup can include requests that were queued on the old
+     * device.  Those were encrypted with its AES key and addressed from its
+     * appUUID, so re-package them with ours.
+     *
+     * The old device's key and appUUID are saved in "relayRestore" when the
+     * backup is restored.
+     * @return {Promise}
+     */
+    adoptRestoredQueue() {
+        var refQueue = this.refQueue();
+        var previous = null;
+
+        return storage.get("relayRestore").then((value) => {
+            previous = value;
+            if (!previous) return;
+
+            return this.queueLock
+                .acquire()
+                .then(() => {
+                    return storage.get(refQueue);
+                })
+                .then((queue) => {
+                    queue = queue || [];
+                    queue.forEach((entry) => {
+                        var relayData = entry.data && entry.data.data;
+                        if (
+                            relayData &&
+                            relayData.appUUID == previous.appUUID
+                        ) {
+                            relayData.data = this.encrypt(
+                                this.decrypt(relayData.data, previous.aesKey)
+                            );
+                            relayData.appUUID = this.appUUID;
+                        }
+                    });
+                    return storage.set(refQueue, queue);
+                })
+                .then(() => {
+                    return storage.clear("relayRestore");
+                })
+                .then(() => {
+                    Log("NetworkRelay: restored queue adopted");
+                    return this.queueLock.release();
+                })
+                .catch((err) => {
+                    this.queueLock.release();
+                    throw err;
+                });
+        });
+    }
+
     /**
      * Reset credentials to a blank state.
      *
@@ -0,0 +1,317 @@
+/**
+ * @class PasswordPolicy
+ *
+ * Estimates the strength of a pass phrase, and checks it against the minimum
+ * rules.
+ *
+ * The rules come from `config.platform.passwordPolicy`:
+ *      {
+ *          minLength: {int},   // default 8
+ *          minScore: {int}     // 0-4, default 2
+ *      }
+ * and from the server's appPolicy (`passwordMinLength`, `passwordMinScore`),
+ * once it has been received.  The stricter of the two is used.
+ *
+ * Strength is an estimate of entropy in bits.  Characters that are part of
+ * repeats, keyboard or alphabet sequences, or common passwords count for
+ * very little.
+ */
+"use strict";
+
+import Log from "./Log.js";
+import { storage } from "./Storage.js";
+
+var config = require("../../config/config.js");
+
+const DEFAULT_POLICY = {
+    minLength: 8,
+    minScore: 2
+};
+
+// Entropy (bits) needed for each score
+const SCORE_BITS = [0, 28, 36, 60, 80];
+
+// Labels for each score
+const SCORE_LABELS = ["Very weak", "Weak", "Fair", "Strong", "Very strong"];
+
+// Character runs that are easy to guess, forwards or backwards
+const SEQUENCES = [
+    "abcdefghijklmnopqrstuvwxyz",
+    "01234567890",
+    "qwertyuiop",
+    "asdfghjkl",
+    "zxcvbnm",
+    "qazwsxedcrfvtgbyhnujmikolp"
+];
+
+// Some of the most used passwords and words in passwords.  Compared after
+// undoing common substitutions (p@ssw0rd -> password).
+const COMMON = [
+    "password",
+    "passw",
+    "pass",
+    "qwerty",
+    "letmein",
+    "welcome",
+    "admin",
+    "login",
+    "master",
+    "secret",
+    "monkey",
+    "dragon",
+    "baseball",
+    "football",
+    "soccer",
+    "hockey",
+    "batman",
+    "superman",
+    "sunshine",
+    "princess",
+    "shadow",
+    "michael",
+    "jesus",
+    "iloveyou",
+    "love",
+    "trustno",
+    "starwars",
+    "hello",
+    "freedom",
+    "whatever",
+    "computer",
+    "internet",
+    "changeme",
+    "default",
+    "abc123",
+    "access",
+    "flower",
+    "cookie",
+    "summer",
+    "winter",
+    "spring",
+    "autumn",
+    "charlie",
+    "jordan",
+    "thomas",
+    "hunter",
+    "ranger",
+    "killer",
+    "pepper",
+    "ginger",
+    "cheese",
+    "orange",
+    "banana",
+    "purple",
+    "silver",
+    "golden",
+    "matrix",
+    "mustang",
+    "harley",
+    "secure",
+    "phone",
+    "mobile"
+];
+
+// Bits counted for a match against COMMON
+const COMMON_BITS = 10;
+
+const SUBSTITUTIONS = {
+    "0": "o",
+    "1": "i",
+    "3": "e",
+    "4": "a",
+    "5": "s",
+    "7": "t",
+    "@": "a",
+    $: "s",
+    "!": "i"
+};
+
+class PasswordPolicy {
+    constructor() {
+        this.configPolicy = Object.assign(
+            {},
+            DEFAULT_POLICY,
+            config.platform.passwordPolicy || {}
+        );
+        this.policy = Object.assign({}, this.configPolicy);
+    }
+
+    /**
+     * load()
+     * combine the server's appPolicy with our config, if it has been
+     * received.
+     * @return {Promise}
+     */
+    load() {
+        return storage
+            .get("appPolicy", { resetAppOnFailure: false })
+            .then((appPolicy) => {
+                this.applyPolicy(appPolicy || {});
+            })
+            .catch((err) => {
+                // probably still locked
+                Log("PasswordPolicy: appPolicy not available", err);
+                this.applyPolicy({});
+            });
+    }
+
+    /**
+     * applyPolicy()
+     * @param {object} appPolicy
+     */
+    applyPolicy(appPolicy) {
+        this.policy = {
+            minLength: Math.max(
+                this.configPolicy.minLength,
+                parseInt(appPolicy.passwordMinLength) || 0
+            ),
+            minScore: Math.max(
+                this.configPolicy.minScore,
+                parseInt(appPolicy.passwordMinScore) || 0
+            )
+        };
+    }
+
+    /**
+     * estimate()
+     * estimate the strength of a pass phrase.
+     * @param {string} password
+     * @return {object}
+     *      {
+     *          entropy: {number} bits,
+     *          score: {int} 0-4,
+     *          label: {string},
+     *          hints: [{string}] suggestions for a stronger pass phrase
+     *      }
+     */
+    estimate(password = "") {
+        var chars = password.split("");
+        var lower = chars.map((c) => {
+            // keep one entry per character, so positions line up
+            var l = c.toLowerCase();
+            return l.length == 1 ? l : c;
+        });
+        var weak = chars.map(() => false);
+        var found = {
+            repeat: false,
+            sequence: false,
+            common: false
+        };
+
+        // Repeated characters: "aaa"
+        for (var i = 2; i < chars.length; i++) {
+            if (lower[i] == lower[i - 1] && lower[i] == lower[i - 2]) {
+                weak[i] = weak[i - 1] = true;
+                found.repeat = true;
+            }
+        }
+
+        // Sequences: "abc", "321", "qwe"
+        for (var j = 2; j < chars.length; j++) {
+            var run = lower[j - 2] + lower[j - 1] + lower[j];
+            var reversed = lower[j] + lower[j - 1] + lower[j - 2];
+            var isSequence = SEQUENCES.some((seq) => {
+                return seq.indexOf(run) > -1 || seq.indexOf(reversed) > -1;
+            });
+            if (isSequence) {
+                weak[j] = weak[j - 1] = true;
+                found.sequence = true;
+            }
+        }
+
+        // Common passwords: "p@ssword1"
+        var normalized = lower
+            .map((c) => {
+                return SUBSTITUTIONS[c] || c;
+            })
+            .join("");
+        COMMON.forEach((word) => {
+            var pos = normalized.indexOf(word);
+            while (pos > -1) {
+                for (var k = pos; k < pos + word.length; k++) {
+                    weak[k] = true;
+                }
+                found.common = true;
+                pos = normalized.indexOf(word, pos + 1);
+            }
+        });
+
+        // Size of the character set in use
+        var classes = {
+            lower: /[a-z]/.test(password),
+            upper: /[A-Z]/.test(password),
+            digit: /[0-9]/.test(password),
+            symbol: /[^a-zA-Z0-9]/.test(password)
+        };
+        var poolSize =
+            (classes.lower ? 26 : 0) +
+            (classes.upper ? 26 : 0) +
+            (classes.digit ? 10 : 0) +
+            (classes.symbol ? 33 : 0);
+        var bitsPerChar = poolSize > 1 ? Math.log2(poolSize) : 0;
+
+        var entropy = weak.reduce((sum, isWeak) => {
+            return sum + (isWeak ? 1 : bitsPerChar);
+        }, 0);
+        if (found.common) entropy += COMMON_BITS;
+
+        var score = 0;
+        SCORE_BITS.forEach((bits, index) => {
+            if (entropy >= bits) score = index;
+        });
+
+        var hints = [];
+        if (found.common) {
+            hints.push("Avoid common passwords and words");
+        }
+        if (found.sequence) {
+            hints.push("Avoid sequences like abc, 123 or qwerty");
+        }
+        if (found.repeat) {
+            hints.push("Avoid repeated characters");
+        }
+        if (chars.length < 12) {
+            hints.push("Make it longer. A few unrelated words work well");
+        }
+        var classCount = Object.keys(classes).filter((c) => classes[c]).length;
+        if (chars.length > 0 && classCount < 2) {
+            hints.push("Mix in capital letters, numbers or symbols");
+        }
+
+        return {
+            entropy: Math.round(entropy),
+            score: score,
+            label: SCORE_LABELS[score],
+            hints: hints
+        };
+    }
+
+    /**
+     * check()
+     * check a pass phrase against the minimum rules.
+     * @param {string} password
+     * @return {object}
+     *      the result of `estimate()`, plus
+     *      {
+     *          isValid: {bool},
+     *          errors: [{string}] rules that were not met
+     *      }
+     */
+    check(password = "") {
+        var result = this.estimate(password);
+        result.errors = [];
+
+        if (password.length < this.policy.minLength) {
+            result.errors.push("The pass phrase is too short");
+        }
+        if (result.score < this.policy.minScore) {
+            result.errors.push("The pass phrase is too easy to guess");
+        }
+
+        result.isValid = result.errors.length == 0;
+        return result;
+    }
+}
+
+var passwordPolicy = new PasswordPolicy();
+export default passwordPolicy;
@@ -3,6 +3,10 @@
  *
  * Manages persistent storage, via a key-value interface.
  *
+ * The actual database is provided by a StorageBackend (SQLite plugin,
+ * IndexedDB, WebSQL or in-memory).  Serialization and encryption are handled
+ * here, so they behave the same on every backend.
+ *
  */
 "use strict";
 
@@ -12,56 +16,336 @@ import CryptoJS from "crypto-js";
 import Lock from "./Lock.js";
 import Log from "./Log.js";
 import PBKDF2async from "./PBKDF2-async.js";
+import StorageIndexedDB from "./StorageIndexedDB.js";
+import StorageMemory from "./StorageMemory.js";
+import StorageSQLite from "./StorageSQLite.js";
+import StorageTransaction from "./StorageTransaction.js";
+import StorageWebSQL from "./StorageWebSQL.js";
 
 var config = require("../../config/config.js");
 
 const disableEncryption = !config.platform.encryptedStorage; // false;
 
+// Encrypted values are stored in a versioned envelope:
+//      "v2:" + base64(
+//          version (1 byte)
+//          KDF hasher id (1 byte)
+//          KDF iterations (4 bytes)
+//          IV (16 bytes)
+//          AES-CBC ciphertext
+//          HMAC-SHA256 tag (32 bytes) of everything above
+//      )
+// Values written before this are "<base64 ciphertext>:::<hex IV>" and have no
+// integrity check. They are upgraded when read, and at unlock.
+const ENVELOPE_VERSION = 2;
+const ENVELOPE_PREFIX = "v2:";
+const ENVELOPE_HEADER_BYTES = 6;
+const ENVELOPE_IV_BYTES = 16;
+const ENVELOPE_TAG_BYTES = 32;
+const KDF_HASHERS = ["SHA1", "SHA256", "SHA512"]; // id = index + 1
+
+// The PBKDF2 parameters used before they were saved in "__sdc_kdf"
+const KDF_LEGACY = {
+    hasher: "SHA1",
+    iterations: 10000,
+    iterationMode: "semi",
+    semiCount: 2000
+};
+
+// The minimum PBKDF2 parameters. Devices using weaker ones are upgraded after
+// they are unlocked. Can be raised with `config.platform.kdf`.
+const KDF_MINIMUM = Object.assign({}, KDF_LEGACY, config.platform.kdf || {});
+
+// Identifies a file made by exportBackup()
+const BACKUP_FORMAT = "sdc-backup";
+const BACKUP_VERSION = 1;
+
+// How stored keys are grouped by usage(). The first match is used.
+const USAGE_GROUPS = [
+    { name: "system", prefix: "__sdc_" },
+    { name: "objects", prefix: "O:" },
+    { name: "queries", prefix: "Q:" },
+    { name: "datacollections", prefix: "dc-" },
+    {
+        name: "queues",
+        keys: ["networkQueue", "abRelayJobToken", "abRelayJobPackets"]
+    },
+    { name: "other", prefix: "" }
+];
+
+// Emit "quota.warning" when this fraction of the quota is in use. Can be
+// changed with `config.platform.storageQuotaWarning`.
+const QUOTA_WARNING = config.platform.storageQuotaWarning || 0.8;
+
+/**
+ * Convert an unsigned 32-bit integer to a hex string of 4 bytes.
+ * @param {integer} num
+ * @return {string}
+ */
+function uint32Hex(num) {
+    return ("00000000" + (num >>> 0).toString(16)).slice(-8);
+}
+
+/**
+ * Compare two strings in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @return {bool}
+ */
+function safeEqual(a, b) {
+    if (a.length != b.length) return false;
+    var diff = 0;
+    for (var i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Count the bytes in a string when UTF-8 encoded.
+ * @param {string} str
+ * @return {integer}
+ */
+function byteLength(str) {
+    return unescape(encodeURIComponent(str || "")).length;
+}
+
+/**
+ * Create the error thrown when an envelope can not be authenticated.
+ * @param {string} message
+ * @return {Error}
+ */
+function authError(message) {
+    var error = new Error(
+        "Encrypted data failed its integrity check: " + message
+    );
+    error.code = "E_DECRYPT_AUTH";
+    return error;
+}
+
+/**
+ * Create the error given when the pass phrase is wrong.  Other errors while
+ * unlocking come from the storage itself.
+ * @return {Error}
+ */
+function passwordError() {
+    var error = new Error("Incorrect password");
+    error.code = "E_WRONG_PASSWORD";
+    return error;
+}
+
+// Available storage backends, by config name, in order of preference.
+const backends = {
+    sqlite: StorageSQLite,
+    indexeddb: StorageIndexedDB,
+    websql: StorageWebSQL,
+    memory: StorageMemory
+};
+
 class Storage extends EventEmitter {
-    constructor(name = "sdc", label = "SDC", version = "1.0", sizeInMB = 2) {
+    /**
+     * @param {string} [name]
+     * @param {string} [label]
+     * @param {string} [version]
+     * @param {integer} [sizeInMB]
+     * @param {object} [options]
+     * @param {string|StorageBackend} [options.backend]
+     *      Either the name of a backend ("sqlite", "indexeddb", "websql",
+     *      "memory", "auto"), or an instance of a StorageBackend.
+     *      Default is `config.platform.storageBackend`, or "auto".
+     */
+    constructor(
+        name = "sdc",
+        label = "SDC",
+        version = "1.0",
+        sizeInMB = 2,
+        options = {}
+    ) {
         super();
         this.secret = null; // passphrase
         this.key = null; // 256-bit key
         this.salt = null;
+        this.kdf = Object.assign({}, KDF_LEGACY); // PBKDF2 parameters
+        this.isUnlocked = false; // has testCrypto() passed?
+        this._lockGate = null;
+        // {Promise} while locked by lock(), resolved when unlocked again.
+        // App data can not be read or written until then.
+        this._openLockGate = null;
+
+        this._rekey = null;
+        // {obj} while changePassword() is re-encrypting our data:
+        // {
+        //      generation: {int}, rows with this is_encrypted value are
+        //                  already under the new key.
+        //      key: {WordArray} the new key
+        //      kdf: {obj} the PBKDF2 parameters of the new key
+        //      written: {Set} keys written by set() during the process
+        // }
+        this._rekeyJournal = null;
+        // {obj} the stored "__sdc_rekey" journal, if a change was interrupted
+
+        this._writeSeq = {
+            // count of set()/clear() calls on each key, so a background
+            // upgrade of a row does not overwrite newer data.
+            /* key : {int} */
+        };
+        this._writeEpoch = 0; // incremented by clearAll()
+
+        this._usage = null;
+        // {obj} set by usage(), then kept up to date by set() and clear():
+        // {
+        //      sizes: { key : {int} bytes },
+        //      total: {int} bytes,
+        //      quota: {int} bytes, or null if unknown
+        //      isWarned: {bool} has "quota.warning" been emitted?
+        // }
+
+        this._watchers = [
+            // { key: {string}, isPrefix: {bool}, handler: {fn} }
+        ];
+        this._watchedValues = {
+            // key : {string} the last serialized value seen of a watched key,
+            //       so watchers can be given the old value.
+        };
 
         this._queueLocks = {
             // a constant reference to available Synchronization Locks.
             /* key : Lock() */
         };
 
-        try {
-            // this.db is a webSQL implementation ()
-            this.db = openDatabase(
-                name,
-                version,
-                label,
-                sizeInMB * 1024 * 1024
-            );
-            this.db.transaction((tx) => {
-                tx.executeSql(
-                    `
-                    CREATE TABLE IF NOT EXISTS key_value_data 
-                    (key PRIMARY KEY, value, is_encrypted)
-                `,
-                    [],
-                    (/* tx, result */) => {},
-                    (tx, err) => {
-                        Log("DB error", err);
-                        Log("tx:", tx);
-                        analytics.logError(err);
-                    }
-                );
+        var backendOptions = {
+            name: name,
+            label: label,
+            version: version,
+            sizeInMB: sizeInMB
+        };
+        this.backend = Storage.createBackend(
+            options.backend || config.platform.storageBackend,
+            backendOptions
+        );
+
+        // All DB operations wait for the backend to be ready.
+        this.dbReady = this.backend
+            .init()
+            .then(() => {
+                return this.migrateFromWebSQL(backendOptions);
+            })
+            .catch((err) => {
+                Log(err);
+                if (typeof alert == "function") {
+                    alert(
+                        "Error initializing the storage system:\n" +
+                            (err.message || "") +
+                            "\n" +
+                            (err.stack || "")
+                    );
+                }
+                analytics.logError(err);
             });
-        } catch (err) {
-            Log(err);
-            alert(
-                "Error initializing the storage system:\n" +
-                    (err.message || "") +
-                    "\n" +
-                    (err.stack || "")
-            );
-            analytics.logError(err);
+    }
+
+    /**
+     * isKDFWeaker()
+     * are the given PBKDF2 parameters weaker than the required ones?
+     * @param {object} kdf
+     * @param {object} [minimum]
+     * @return {bool}
+     */
+    static isKDFWeaker(kdf, minimum = KDF_MINIMUM) {
+        return (
+            kdf.iterations < minimum.iterations ||
+            KDF_HASHERS.indexOf(kdf.hasher) <
+                KDF_HASHERS.indexOf(minimum.hasher)
+        );
+    }
+
+    /**
+     * createBackend()
+     * return the StorageBackend instance to use.
+     * @param {string|StorageBackend} backend
+     *      a backend name, "auto", or an existing StorageBackend instance.
+     * @param {object} options
+     * @return {StorageBackend}
+     */
+    static createBackend(backend, options) {
+        if (backend && typeof backend == "object") {
+            return backend;
+        }
+
+        var Backend = backends[backend];
+        if (!Backend || !Backend.isAvailable()) {
+            if (backend && backend != "auto") {
+                Log(`Storage backend "${backend}" is unavailable`);
+            }
+
+            // choose the first available one:
+            for (var b in backends) {
+                if (backends[b].isAvailable()) {
+                    Backend = backends[b];
+                    break;
+                }
+            }
+        }
+
+        if (Backend == StorageMemory) {
+            Log("Storage: using in-memory backend. Data will not persist.");
         }
+
+        return new Backend(options);
+    }
+
+    /**
+     * migrateFromWebSQL()
+     * Devices that were installed before the storage backends were added
+     * keep their data in WebSQL.  Copy that data into our backend the first
+     * time we open it.
+     *
+     * The WebSQL data is left in place so nothing is lost if the copy is
+     * interrupted; it will simply be copied again.
+     * @param {object} options  the WebSQL database options
+     * @return {Promise}
+     */
+    migrateFromWebSQL(options) {
+        if (
+            // (StorageSQLite extends StorageWebSQL, so compare constructors)
+            this.backend.constructor == StorageWebSQL ||
+            this.backend instanceof StorageMemory ||
+            !StorageWebSQL.isAvailable()
+        ) {
+            return Promise.resolve();
+        }
+
+        return this.backend.get("__sdc_websql_migrated").then((row) => {
+            if (row) return;
+
+            var webSQL = new StorageWebSQL(options);
+            return webSQL
+                .init()
+                .then(() => {
+                    return webSQL.getAll();
+                })
+                .then((rows) => {
+                    var all = [];
+                    rows.forEach((row) => {
+                        all.push(
+                            this.backend.set(
+                                row.key,
+                                row.value,
+                                row.is_encrypted,
+                                row.expires_at
+                            )
+                        );
+                    });
+                    return Promise.all(all).then(() => {
+                        if (rows.length > 0) {
+                            Log(`Storage: migrated ${rows.length} rows`);
+                        }
+                    });
+                })
+                .then(() => {
+                    return this.backend.set("__sdc_websql_migrated", "1", 0);
+                });
+        });
     }
 
     wait(time = 650) {
@@ -77,6 +361,21 @@ class Storage extends EventEmitter {
 
             Promise.resolve()
                 .then(() => {
+                    // Was a password change interrupted?
+                    return this.get("__sdc_rekey", {
+                        resetAppOnFailure: false
+                    });
+                })
+                .then((journal) => {
+                    this._rekeyJournal = journal;
+
+                    // A change that was being committed already uses the
+                    // new salt and KDF parameters.
+                    if (journal && journal.state == "committing") {
+                        this.kdf = Object.assign({}, KDF_LEGACY, journal.kdf);
+                        return journal.salt;
+                    }
+
                     if (resetSalt) {
                         return null;
                     } else {
@@ -91,15 +390,30 @@ class Storage extends EventEmitter {
                         // Generate new salt
                         // (any old encrypted data will be lost)
                         this.salt = CryptoJS.lib.WordArray.random(16);
-                        // Save the new salt
+                        this.kdf = Object.assign({}, KDF_MINIMUM);
+                        // Save the new salt and KDF parameters
                         return this.set("__sdc_salt", this.salt.toString(), {
                             serialize: false,
                             forcePlainText: true
+                        }).then(() => {
+                            return this.set("__sdc_kdf", this.kdf, {
+                                forcePlainText: true
+                            });
                         });
                     } else {
                         // Use existing salt
                         this.salt = CryptoJS.enc.Hex.parse(salt);
-                        return null;
+
+                        var journal = this._rekeyJournal;
+                        if (journal && journal.state == "committing") {
+                            return null;
+                        }
+                        return this.get("__sdc_kdf", {
+                            resetAppOnFailure: false
+                        }).then((kdf) => {
+                            // none saved means the legacy parameters
+                            this.kdf = Object.assign({}, KDF_LEGACY, kdf);
+                        });
                     }
                 })
                 .then(() => {
@@ -107,22 +421,31 @@ class Storage extends EventEmitter {
                     return this.wait(10);
                 })
                 .then(() => {
-                    // Sync (may lock up UI)
-                    //var fn = CryptoJS.PBKDF2;
-
-                    // Async (crashes debugger)
-                    var fn = PBKDF2async;
-
-                    return fn(this.secret, this.salt, {
-                        keySize: 256 / 32,
-                        iterations: 10000,
-                        iterationMode: "semi",
-                        semiCount: 2000
-                    });
+                    return this.deriveKey(this.secret, this.salt);
                 })
                 .then((key) => {
                     this.key = key;
 
+                    // Rows already converted by an interrupted password
+                    // change need the new key, which the journal holds
+                    // under our current key.
+                    this._rekey = null;
+                    var journal = this._rekeyJournal;
+                    if (journal && journal.state == "copying") {
+                        try {
+                            this._rekey = {
+                                generation: journal.generation,
+                                key: CryptoJS.enc.Hex.parse(
+                                    this.decrypt(journal.key)
+                                ),
+                                kdf: Object.assign({}, KDF_LEGACY, journal.kdf),
+                                written: new Set()
+                            };
+                        } catch (err) {
+                            // wrong passphrase: testCrypto() will reject it
+                        }
+                    }
+
                     // If the KDF was too fast, wait some more
                     var endTime = Date.now();
                     var diff = endTime - startTime;
@@ -143,17 +466,77 @@ class Storage extends EventEmitter {
         });
     }
 
+    /**
+     * Derive a 256-bit key from a passphrase.
+     *
+     * @param {string} secret
+     * @param {WordArray} salt
+     * @param {object} [kdf]
+     *      PBKDF2 parameters { hasher, iterations, iterationMode, semiCount }
+     *      Default is the current parameters.
+     * @return {Promise}
+     *      Resolves with the key {WordArray}
+     */
+    deriveKey(secret, salt, kdf = this.kdf) {
+        // Sync (may lock up UI)
+        //var fn = CryptoJS.PBKDF2;
+
+        // Async (crashes debugger)
+        var fn = PBKDF2async;
+
+        return fn(secret, salt, {
+            keySize: 256 / 32,
+            hasher: CryptoJS.algo[kdf.hasher],
+            iterations: kdf.iterations,
+            iterationMode: kdf.iterationMode,
+            semiCount: kdf.semiCount
+        });
+    }
+
+    /**
+     * Derive separate encryption and authentication keys from a key.
+     *
+     * @param {WordArray} key
+     * @return {object}
+     *      { enc: {WordArray}, mac: {WordArray} }
+     */
+    envelopeKeys(key) {
+        return {
+            enc: CryptoJS.HmacSHA256("sdc-encrypt", key),
+            mac: CryptoJS.HmacSHA256("sdc-authenticate", key)
+        };
+    }
+
     /**
      * Encrypt a string with AES, using the key from `setPassword()`.
+     * The result is authenticated with an HMAC (encrypt-then-MAC).
      *
      * @param {string} plaintext
+     * @param {WordArray} [key]
+     *      Default is the current key.
+     * @param {object} [kdf]
+     *      The PBKDF2 parameters of `key`, recorded in the envelope.
+     *      Default is the current parameters.
      * @return {string}
-     *      Ciphertext with embedded IV.
+     *      A versioned envelope. See ENVELOPE_VERSION.
      */
-    encrypt(plaintext) {
-        var iv = CryptoJS.lib.WordArray.random(16);
-        var ciphertext = CryptoJS.AES.encrypt(plaintext, this.key, { iv: iv });
-        return ciphertext.toString() + ":::" + iv.toString();
+    encrypt(plaintext, key = this.key, kdf = this.kdf) {
+        var keys = this.envelopeKeys(key);
+        var iv = CryptoJS.lib.WordArray.random(ENVELOPE_IV_BYTES);
+        var ciphertext = CryptoJS.AES.encrypt(plaintext, keys.enc, { iv: iv })
+            .ciphertext;
+
+        var header =
+            ("0" + ENVELOPE_VERSION.toString(16)).slice(-2) +
+            ("0" + (KDF_HASHERS.indexOf(kdf.hasher) + 1)).slice(-2) +
+            uint32Hex(kdf.iterations);
+
+        var body = CryptoJS.enc.Hex.parse(header)
+            .concat(iv)
+            .concat(ciphertext);
+        var tag = CryptoJS.HmacSHA256(body, keys.mac);
+
+        return ENVELOPE_PREFIX + body.concat(tag).toString(CryptoJS.enc.Base64);
     }
 
     /**
@@ -161,25 +544,104 @@ class Storage extends EventEmitter {
      *
      * @param {string} encoded
      *      An encoded string produced by `encrypt()`.
+     * @param {WordArray} [key]
+     *      Default is the current key.
      * @return {string}
+     * @throws {Error}
+     *      with .code "E_DECRYPT_AUTH" if the data was modified or truncated,
+     *      or the key is wrong.
      */
-    decrypt(encoded) {
-        var parts = encoded.split(":::");
-        var ciphertext = parts[0];
-        var iv = CryptoJS.enc.Hex.parse(parts[1]);
-        return CryptoJS.AES.decrypt(ciphertext, this.key, { iv: iv }).toString(
-            CryptoJS.enc.Utf8
-        );
+    decrypt(encoded, key = this.key) {
+        if (Storage.isLegacyCiphertext(encoded)) {
+            var parts = encoded.split(":::");
+            var legacyCiphertext = parts[0];
+            var legacyIV = CryptoJS.enc.Hex.parse(parts[1]);
+            return CryptoJS.AES.decrypt(legacyCiphertext, key, {
+                iv: legacyIV
+            }).toString(CryptoJS.enc.Utf8);
+        }
+
+        if (typeof encoded != "string" || encoded.indexOf(ENVELOPE_PREFIX)) {
+            throw authError("unknown format");
+        }
+
+        var hex;
+        try {
+            hex = CryptoJS.enc.Base64.parse(
+                encoded.slice(ENVELOPE_PREFIX.length)
+            ).toString(CryptoJS.enc.Hex);
+        } catch (err) {
+            throw authError("bad encoding");
+        }
+
+        // header + IV + at least one AES block + tag
+        var minBytes =
+            ENVELOPE_HEADER_BYTES + ENVELOPE_IV_BYTES + 16 + ENVELOPE_TAG_BYTES;
+        if (hex.length < minBytes * 2) {
+            throw authError("truncated");
+        }
+
+        var keys = this.envelopeKeys(key);
+        var bodyHex = hex.slice(0, hex.length - ENVELOPE_TAG_BYTES * 2);
+        var tagHex = hex.slice(hex.length - ENVELOPE_TAG_BYTES * 2);
+        var expectedTag = CryptoJS.HmacSHA256(
+            CryptoJS.enc.Hex.parse(bodyHex),
+            keys.mac
+        ).toString(CryptoJS.enc.Hex);
+        if (!safeEqual(tagHex, expectedTag)) {
+            throw authError("authentication tag mismatch");
+        }
+
+        var version = parseInt(bodyHex.slice(0, 2), 16);
+        if (version != ENVELOPE_VERSION) {
+            throw authError("unsupported version " + version);
+        }
+
+        var ivStart = ENVELOPE_HEADER_BYTES * 2;
+        var ctStart = ivStart + ENVELOPE_IV_BYTES * 2;
+        var iv = CryptoJS.enc.Hex.parse(bodyHex.slice(ivStart, ctStart));
+        var ciphertext = CryptoJS.enc.Hex.parse(bodyHex.slice(ctStart));
+
+        return CryptoJS.AES.decrypt(
+            CryptoJS.lib.CipherParams.create({ ciphertext: ciphertext }),
+            keys.enc,
+            { iv: iv }
+        ).toString(CryptoJS.enc.Utf8);
+    }
+
+    /**
+     * Is the given stored value in the old "ciphertext:::iv" format?
+     *
+     * @param {string} encoded
+     * @return {bool}
+     */
+    static isLegacyCiphertext(encoded) {
+        return typeof encoded == "string" && encoded.indexOf(":::") > -1;
+    }
+
+    /**
+     * Return the key that a stored row is encrypted with.
+     *
+     * @param {object} row
+     * @return {WordArray}
+     */
+    keyForRow(row) {
+        if (this._rekey && row.is_encrypted == this._rekey.generation) {
+            return this._rekey.key;
+        }
+        return this.key;
     }
 
     /**
      * Test whether the secret given through `setPassword()` is valid.
+     * @return {Promise}
+     *      rejects with .code "E_WRONG_PASSWORD" if it is not.
      */
     testCrypto() {
         analytics.event("testing password");
 
         return new Promise((resolve, reject) => {
-            if (!this.secret) reject();
+            if (!this.secret) reject(passwordError());
             else {
                 this.get("__sdc_password", {
                     resetAppOnFailure: false,
@@ -189,19 +651,67 @@ class Storage extends EventEmitter {
                         // Compare against previously set password
                         var hash = CryptoJS.SHA256(this.secret).toString();
 
+                        // A password change that was being committed has
+                        // the new hash in its journal.
+                        var journal = this._rekeyJournal;
+                        if (journal && journal.state == "committing") {
+                            try {
+                                value = this.decrypt(journal.hash);
+                            } catch (err) {
+                                value = false;
+                            }
+                        }
+
                         if (value === null) {
                             // No previous password. Save hash now.
                             this.set("__sdc_password", hash, {
                                 serialize: false
                             });
-                            this.emit("ready");
-                            resolve();
+                            return true;
                         } else if (value == hash) {
-                            this.emit("ready");
-                            resolve();
+                            return true;
                         } else {
-                            reject();
+                            return false;
+                        }
+                    })
+                    .then((isValid) => {
+                        if (!isValid) {
+                            reject(passwordError());
+                            return;
                         }
+
+                        // Finish any password change that was interrupted
+                        return this.resumeChangePassword().then(() => {
+                            this.isUnlocked = true;
+                            if (this._lockGate) {
+                                // unlocked after lock(). The app is
+                                // already initialized.
+                                this._lockGate = null;
+                                this._openLockGate();
+                                this.emit("unlocked");
+                            } else {
+                                this.emit("ready");
+                            }
+                            resolve();
+
+                            // Move old data to the current format and key
+                            // strength in the background.
+                            this.upgradeKDF()
+                                .then(() => {
+                                    return this.upgradeLegacyRows();
+                                })
+                                .then(() => {
+                                    return this.sweep();
+                                })
+                                .then(() => {
+                                    // start tracking usage against the quota
+                                    return this.usage();
+                                })
+                                .catch((err) => {
+                                    Log("Unable to upgrade stored data", err);
+                                    analytics.logError(err);
+                                });
+                        });
                     })
                     .catch((err) => {
                         reject(err);
@@ -211,196 +721,1424 @@ class Storage extends EventEmitter {
     }
 
     /**
-     * Save something to persistent storage.
+     * Export all app data as a single encrypted backup, protected by its own
+     * passphrase.  It can be restored on another device with
+     * `importBackup()`.
      *
-     * @param {string} key
-     *      Name of thing to save.
-     * @param {string/object} value
-     *      Value of thing to save.
+     * The "__sdc_" keys of this device are not included.
+     *
+     * @param {string} passphrase
      * @param {object} [options]
-     * @param {boolean} [options.forcePlainText]
-     *      Bypass encryption and save as plain text?
-     *      Default false.
-     * @param {boolean} [options.serialize]
-     *      Serialize `value` with JSON.stringify().
-     *      Default true.
+     * @param {object} [options.attachments]
+     *      Other data to include, such as photo files.
+     *      { name: {string} }
      * @return {Promise}
+     *      Resolves with the backup {string}
      */
-    set(key, value, options = {}) {
-        var defaults = {
-            forcePlainText: false,
-            serialize: true
-        };
-        if (disableEncryption) {
-            defaults.forcePlainText = true;
+    exportBackup(passphrase, options = {}) {
+        if (this.secret && !this.isUnlocked) {
+            return Promise.reject(new Error("Storage is locked"));
         }
-        options = $.extend({}, defaults, options);
 
-        var isEncrypted = 0;
-        // Serialize
-        if (options.serialize) {
-            value = JSON.stringify(value);
-        }
-        // Encrypt
-        if (!options.forcePlainText && this.secret) {
-            value = this.encrypt(value);
-            //value = CryptoJS.AES.encrypt(value, this.secret).toString();
-            isEncrypted = 1;
-        }
+        var salt = CryptoJS.lib.WordArray.random(16);
+        var kdf = Object.assign({}, KDF_MINIMUM);
+        var rows = {};
 
-        return new Promise((resolve, reject) => {
-            this.db.transaction((tx) => {
-                tx.executeSql(
-                    `
-                    REPLACE INTO key_value_data (key, value, is_encrypted)
-                    VALUES (?, ?, ?)
-                `,
-                    [key, value, isEncrypted],
-                    (/*tx, result*/) => {
-                        resolve();
-                    },
-                    (tx, err) => {
-                        Log("DB error", err);
-                        Log("tx:", tx);
-                        reject(err);
+        return this.dbReady
+            .then(() => {
+                return this.backend.getAll();
+            })
+            .then((all) => {
+                all.forEach((row) => {
+                    if (row.key.indexOf("__sdc_") == 0) return;
+
+                    var value = row.value;
+                    if (row.is_encrypted) {
+                        value = this.decrypt(value, this.keyForRow(row));
                     }
-                );
+                    rows[row.key] = {
+                        value: value,
+                        encrypted: !!row.is_encrypted
+                    };
+                    if (row.expires_at) {
+                        rows[row.key].expires = row.expires_at;
+                    }
+                });
+
+                return this.deriveKey(passphrase, salt, kdf);
+            })
+            .then((key) => {
+                var payload = JSON.stringify({
+                    rows: rows,
+                    attachments: options.attachments || {}
+                });
+                analytics.event("backup exported", {
+                    rows: Object.keys(rows).length
+                });
+                return JSON.stringify({
+                    format: BACKUP_FORMAT,
+                    version: BACKUP_VERSION,
+                    created: new Date().toISOString(),
+                    salt: salt.toString(),
+                    kdf: kdf,
+                    data: this.encrypt(payload, key, kdf)
+                });
             });
-        });
     }
 
     /**
-     * Load something from persistent storage.
+     * Replace all app data with the contents of a backup made by
+     * `exportBackup()`.  Data is encrypted under this device's key as it is
+     * saved.
      *
-     * @param {string} key
-     *      Name of thing to load.
+     * @param {string} backup
+     * @param {string} passphrase
+     *      The passphrase the backup was made with.
      * @param {object} [options]
-     * @param {boolean} [resetAppOnFailure]
-     *      Reload the app on failure to decrypt?
-     *      Default true.
-     * @param {boolean} [deserialize]
-     *      Deserialize loaded value with JSON.parse().
-     *      Default true.
+     * @param {array} [options.skip]
+     *      Keys that should not be saved. Their values are returned instead.
      * @return {Promise}
+     *      Resolves with
+     *      {
+     *          attachments: { name: {string} },
+     *          skipped: { key: value }
+     *      }
      */
-    get(key, options = {}) {
-        var defaults = {
-            resetAppOnFailure: true,
-            deserialize: true
-        };
-        if (disableEncryption) {
-            defaults.resetAppOnFailure = false;
+    importBackup(backup, passphrase, options = {}) {
+        var skip = options.skip || [];
+        var payload;
+
+        if (this.secret && !this.isUnlocked) {
+            return Promise.reject(new Error("Storage is locked"));
         }
-        options = $.extend({}, defaults, options);
 
-        return new Promise((resolve, reject) => {
-            this.db.readTransaction((tx) => {
-                tx.executeSql(
-                    `
-                    SELECT value, is_encrypted
-                    FROM key_value_data
-                    WHERE key = ?
-                `,
-                    [key],
-                    (tx, results) => {
-                        if (results.rows.length < 1) {
-                            // Not found
-                            resolve(null);
-                        } else {
-                            var row = results.rows.item(0);
-                            var value = row.value;
-
-                            // Decrypt
-                            if (row.is_encrypted && this.secret) {
-                                try {
-                                    value = this.decrypt(value);
-                                    //value = CryptoJS.AES.decrypt(value, this.secret).toString(CryptoJS.enc.Utf8);
-                                } catch (err) {
-                                    // Unable to decrypt
-                                    if (options.resetAppOnFailure) {
-                                        document.location.reload();
-                                    } else {
-                                        Log("Incorrect password");
-                                        reject(new Error("Incorrect password"));
-                                    }
-                                    return;
-                                }
-                            } else if (row.is_encrypted) {
-                                //alert('Password is required');
-                                if (options.resetAppOnFailure) {
-                                    document.location.reload();
-                                } else {
-                                    Log("Missing password");
-                                    reject(new Error("Missing password"));
-                                }
-                                return;
-                            }
+        return Promise.resolve()
+            .then(() => {
+                try {
+                    backup = JSON.parse(backup);
+                } catch (err) {
+                    backup = null;
+                }
+                if (!backup || backup.format != BACKUP_FORMAT) {
+                    var formatError = new Error("This is not a backup file");
+                    formatError.code = "E_BACKUP_FORMAT";
+                    throw formatError;
+                }
+                if (backup.version > BACKUP_VERSION) {
+                    var versionError = new Error(
+                        "This backup was made by a newer version of the app"
+                    );
+                    versionError.code = "E_BACKUP_FORMAT";
+                    throw versionError;
+                }
 
-                            // Deserialize
-                            if (options.deserialize) {
-                                try {
-                                    value = JSON.parse(value);
-                                } catch (err) {
-                                    Log("Bad saved data?", key, value);
-                                    value = null;
-                                }
-                            }
+                var kdf = Object.assign({}, KDF_LEGACY, backup.kdf);
+                return this.deriveKey(
+                    passphrase,
+                    CryptoJS.enc.Hex.parse(backup.salt),
+                    kdf
+                );
+            })
+            .then((key) => {
+                try {
+                    payload = JSON.parse(this.decrypt(backup.data, key));
+                } catch (err) {
+                    var error = new Error(
+                        "Incorrect pass phrase for this backup"
+                    );
+                    error.code = "E_BACKUP_PASSWORD";
+                    throw error;
+                }
 
-                            resolve(value);
+                return this.dbReady.then(() => {
+                    return this.backend.getAll();
+                });
+            })
+            .then((existing) => {
+                var skipped = {};
+                var keys = Object.keys(payload.rows);
+
+                // Remove app data that is not in the backup
+                var chain = Promise.resolve();
+                existing.forEach((row) => {
+                    if (row.key.indexOf("__sdc_") == 0) return;
+                    if (payload.rows[row.key]) return;
+                    chain = chain.then(() => {
+                        return this.clear(row.key);
+                    });
+                });
+
+                // Save the backup's data, one row at a time
+                keys.forEach((key) => {
+                    var row = payload.rows[key];
+                    if (skip.indexOf(key) > -1) {
+                        try {
+                            skipped[key] = JSON.parse(row.value);
+                        } catch (err) {
+                            skipped[key] = row.value;
                         }
-                    },
-                    (tx, err) => {
-                        Log("DB error", err);
-                        analytics.logError(err);
-                        reject(err);
+                        return;
                     }
-                );
+                    chain = chain.then(() => {
+                        var ttl = row.expires ? row.expires - Date.now() : null;
+                        if (ttl !== null && ttl <= 0) {
+                            // expired since the backup was made
+                            return this.clear(key);
+                        }
+                        return this.set(key, row.value, {
+                            serialize: false,
+                            forcePlainText: !row.encrypted,
+                            ttl: ttl
+                        });
+                    });
+                });
+
+                return chain.then(() => {
+                    analytics.event("backup restored", {
+                        rows: keys.length
+                    });
+                    return {
+                        attachments: payload.attachments || {},
+                        skipped: skipped
+                    };
+                });
             });
-        });
     }
 
-    clear(key) {
-        return new Promise((resolve, reject) => {
-            this.db.transaction((tx) => {
-                tx.executeSql(
-                    `
-                    DELETE FROM key_value_data
-                    WHERE key = ?
-                `,
-                    [key],
-                    (/* tx, results */) => {
-                        resolve();
-                    },
-                    (tx, err) => {
-                        Log("DB error", err);
-                        Log("tx:", tx);
-                        analytics.logError(err);
-                        reject();
-                    }
-                );
-            });
+    /**
+     * Forget the passphrase and key, so the app must be unlocked again with
+     * `setPassword()` and `testCrypto()`.  Unlike a reload, the rest of the
+     * app stays in memory.
+     *
+     * Until then, reading or writing app data waits.  The "__sdc_" keys that
+     * are used during unlock are not affected.
+     *
+     * If data is being re-encrypted, this waits for it to finish.
+     *
+     * @return {Promise}
+     */
+    lock() {
+        var lock = this.Lock("__sdc_rekey");
+        return lock.acquire().then(() => {
+            if (!this._lockGate) {
+                this._lockGate = new Promise((resolve) => {
+                    this._openLockGate = resolve;
+                });
+            }
+            this.secret = null;
+            this.key = null;
+            this._rekey = null;
+            this.isUnlocked = false;
+            lock.release();
+
+            analytics.event("storage locked");
+            this.emit("locked");
         });
     }
 
-    clearAll() {
-        return new Promise((resolve, reject) => {
-            this.db.transaction((tx) => {
-                tx.executeSql(
-                    `
-                    DELETE FROM key_value_data
-                `,
-                    [],
-                    (/* tx, results */) => {
-                        resolve();
-                    },
-                    (tx, err) => {
-                        Log("DB error", err);
-                        Log("tx:", tx);
-                        analytics.logError(err);
-                        reject(err);
-                    }
-                );
-            });
+    /**
+     * Is app data encrypted?  If not, there is no pass phrase, so the app is
+     * never unlocked, and can't be locked.
+     * @return {bool}
+     */
+    isEncrypted() {
+        return !disableEncryption;
+    }
+
+    /**
+     * Does access to the given key have to wait for the app to be unlocked?
+     *
+     * @param {string} key
+     * @return {bool}
+     */
+    isGated(key) {
+        return this._lockGate != null && key.indexOf("__sdc_") != 0;
+    }
+
+    /**
+     * Change the passphrase, and re-encrypt all stored data under a new salt
+     * and key.
+     *
+     * The process is journaled in "__sdc_rekey" so it can be resumed if the
+     * app is closed part way through.  Until it is committed, the previous
+     * passphrase is still the one used to unlock the app. See
+     * `resumeChangePassword()`.
+     *
+     * @param {string} oldSecret
+     * @param {string} newSecret
+     * @return {Promise}
+     */
+    changePassword(oldSecret, newSecret) {
+        var lock = this.Lock("__sdc_rekey");
+
+        return lock
+            .acquire()
+            .then(() => {
+                if (this._rekeyJournal) {
+                    throw new Error("A password change is already in progress");
+                }
+
+                // Verify the old passphrase against our current key
+                return this.deriveKey(oldSecret, this.salt);
+            })
+            .then((oldKey) => {
+                if (!this.key || oldKey.toString() != this.key.toString()) {
+                    throw passwordError();
+                }
+
+                var kdf = Storage.isKDFWeaker(this.kdf)
+                    ? KDF_MINIMUM
+                    : this.kdf;
+                return this.beginRekey(newSecret, kdf);
+            })
+            .then(() => {
+                this.secret = newSecret;
+                analytics.event("password changed");
+                lock.release();
+            })
+            .catch((err) => {
+                lock.release();
+                Log("Password change error", err);
+                analytics.logError(err);
+                throw err;
+            });
+    }
+
+    /**
+     * Re-derive the key with stronger PBKDF2 parameters, if the current ones
+     * are below the minimum (see `config.platform.kdf`), and re-encrypt all
+     * stored data under it.
+     *
+     * This is run in the background after the app is unlocked. It uses the
+     * same journaled process as `changePassword()`, so it resumes if it is
+     * interrupted.
+     *
+     * @return {Promise}
+     */
+    upgradeKDF() {
+        if (!this.secret || !Storage.isKDFWeaker(this.kdf)) {
+            return Promise.resolve();
+        }
+
+        var lock = this.Lock("__sdc_rekey");
+        return lock
+            .acquire()
+            .then(() => {
+                // a password change will use the new parameters anyway
+                if (this._rekeyJournal) return;
+
+                analytics.event("upgrading key derivation", {
+                    from: this.kdf.hasher + "/" + this.kdf.iterations,
+                    to: KDF_MINIMUM.hasher + "/" + KDF_MINIMUM.iterations
+                });
+                return this.beginRekey(this.secret, KDF_MINIMUM);
+            })
+            .then(() => {
+                lock.release();
+            })
+            .catch((err) => {
+                lock.release();
+                throw err;
+            });
+    }
+
+    /**
+     * Start the journaled re-encryption of all stored data under a new salt
+     * and key.  The caller must hold the "__sdc_rekey" lock.
+     *
+     * @param {string} newSecret
+     * @param {object} kdf
+     *      PBKDF2 parameters for the new key.
+     * @return {Promise}
+     */
+    beginRekey(newSecret, kdf) {
+        var newSalt = CryptoJS.lib.WordArray.random(16);
+        var newKey;
+
+        return this.deriveKey(newSecret, newSalt, kdf)
+            .then((key) => {
+                newKey = key;
+                return this.backend.getAll();
+            })
+            .then((rows) => {
+                // Rows under the new key are marked with a new generation
+                // number in their is_encrypted column.
+                var generation = 1;
+                rows.forEach((row) => {
+                    var g = parseInt(row.is_encrypted) || 0;
+                    if (g >= generation) generation = g + 1;
+                });
+
+                var journal = {
+                    state: "copying",
+                    generation: generation,
+                    salt: newSalt.toString(),
+                    kdf: kdf,
+                    // new key, so the process can resume with the old
+                    // passphrase:
+                    key: this.encrypt(newKey.toString()),
+                    // hash of the new passphrase, for testCrypto():
+                    hash: this.encrypt(
+                        CryptoJS.SHA256(newSecret).toString(),
+                        newKey,
+                        kdf
+                    )
+                };
+                return this.set("__sdc_rekey", journal, {
+                    forcePlainText: true
+                }).then(() => {
+                    this._rekeyJournal = journal;
+                    return this.rekey(journal, newKey);
+                });
+            });
+    }
+
+    /**
+     * Finish a password change that was interrupted.
+     *
+     * This is called by `testCrypto()` after the passphrase is confirmed.
+     *
+     * @return {Promise}
+     */
+    resumeChangePassword() {
+        var journal = this._rekeyJournal;
+        if (!journal) {
+            return Promise.resolve();
+        }
+
+        analytics.event("resume password change");
+
+        if (journal.state == "committing") {
+            // we were unlocked with the new passphrase
+            return this.rekey(journal, this.key);
+        } else {
+            // we were unlocked with the old passphrase, and setPassword()
+            // recovered the new key from the journal
+            return this.rekey(journal, this._rekey.key);
+        }
+    }
+
+    /**
+     * Re-encrypt every encrypted row under the new key, then commit the new
+     * salt and password hash.
+     *
+     * If this fails, this._rekey is left in place so rows that were already
+     * converted can still be read, and the journal remains so the change is
+     * resumed on the next unlock.
+     *
+     * @param {object} journal  the "__sdc_rekey" journal
+     * @param {WordArray} newKey
+     * @return {Promise}
+     */
+    rekey(journal, newKey) {
+        // journals from before KDF parameters were saved used the legacy ones
+        var kdf = Object.assign({}, KDF_LEGACY, journal.kdf);
+        this._rekey = {
+            generation: journal.generation,
+            key: newKey,
+            kdf: kdf,
+            written: new Set()
+        };
+
+        return Promise.resolve()
+            .then(() => {
+                if (journal.state == "committing") return;
+
+                return this.backend.getAll().then((rows) => {
+                    var oldKey = this.key;
+                    var total = rows.length;
+                    var done = 0;
+
+                    // one row at a time, so only one decrypted value is in
+                    // memory at once.
+                    var next = () => {
+                        var row = rows.shift();
+                        if (!row) return Promise.resolve();
+
+                        done++;
+                        this.emit("rekey.progress", done, total);
+
+                        if (
+                            !row.is_encrypted ||
+                            row.is_encrypted == journal.generation ||
+                            this._rekey.written.has(row.key)
+                        ) {
+                            return next();
+                        }
+
+                        var value = this.encrypt(
+                            this.decrypt(row.value, oldKey),
+                            newKey,
+                            kdf
+                        );
+
+                        // skip it if set() wrote a new value meanwhile
+                        if (this._rekey.written.has(row.key)) {
+                            return next();
+                        }
+                        return this.backend
+                            .set(
+                                row.key,
+                                value,
+                                journal.generation,
+                                row.expires_at
+                            )
+                            .then(next);
+                    };
+                    return next();
+                });
+            })
+            .then(() => {
+                // Everything is under the new key. Commit.
+                journal.state = "committing";
+                return this.set("__sdc_rekey", journal, {
+                    forcePlainText: true
+                });
+            })
+            .then(() => {
+                this.salt = CryptoJS.enc.Hex.parse(journal.salt);
+                this.key = newKey;
+                this.kdf = kdf;
+                this._rekey = null;
+
+                return this.set("__sdc_salt", journal.salt, {
+                    serialize: false,
+                    forcePlainText: true
+                });
+            })
+            .then(() => {
+                return this.set("__sdc_kdf", kdf, { forcePlainText: true });
+            })
+            .then(() => {
+                return this.set("__sdc_password", this.decrypt(journal.hash), {
+                    serialize: false
+                });
+            })
+            .then(() => {
+                return this.clear("__sdc_rekey");
+            })
+            .then(() => {
+                this._rekeyJournal = null;
+                this.emit("rekey.done");
+            });
+    }
+
+    /**
+     * Return a marker that changes whenever the given key is written or
+     * cleared.
+     *
+     * @param {string} key
+     * @return {string}
+     */
+    writeMark(key) {
+        return this._writeEpoch + ":" + (this._writeSeq[key] || 0);
+    }
+
+    /**
+     * Return a marker that changes whenever any key that begins with the
+     * given prefix is written or cleared.
+     *
+     * @param {string} prefix
+     * @return {string}
+     */
+    writeMarkPrefix(prefix) {
+        // the counts only grow, so their sum changes with any of them
+        var seq = 0;
+        Object.keys(this._writeSeq).forEach((key) => {
+            if (key.indexOf(prefix) == 0) seq += this._writeSeq[key];
+        });
+        return this._writeEpoch + ":" + seq;
+    }
+
+    /**
+     * Re-encrypt a row that is still in the legacy ciphertext format.
+     *
+     * Nothing is written if the key has been changed since `mark` was taken,
+     * or while a password change is in progress.
+     *
+     * @param {object} row
+     *      The row as loaded from the backend.
+     * @param {string} mark
+     *      From `writeMark()`, taken before the row was loaded.
+     * @return {Promise}
+     */
+    upgradeRow(row, mark) {
+        if (this._rekey || mark != this.writeMark(row.key)) {
+            return Promise.resolve();
+        }
+
+        var key = this.keyForRow(row);
+        var value = this.encrypt(this.decrypt(row.value, key), key);
+        return this.backend.set(
+            row.key,
+            value,
+            row.is_encrypted,
+            row.expires_at
+        );
+    }
+
+    /**
+     * Re-encrypt all rows that are still in the legacy ciphertext format.
+     * This is run in the background after the app is unlocked.
+     *
+     * @return {Promise}
+     */
+    upgradeLegacyRows() {
+        var marks = {};
+        var epoch = this._writeEpoch;
+        Object.keys(this._writeSeq).forEach((key) => {
+            marks[key] = this.writeMark(key);
+        });
+
+        return this.dbReady
+            .then(() => {
+                return this.backend.getAll();
+            })
+            .then((rows) => {
+                var legacy = rows.filter((row) => {
+                    return (
+                        row.is_encrypted &&
+                        Storage.isLegacyCiphertext(row.value)
+                    );
+                });
+                if (legacy.length == 0) return;
+
+                analytics.event("upgrading stored data", {
+                    count: legacy.length
+                });
+
+                // One row at a time
+                var chain = Promise.resolve();
+                legacy.forEach((row) => {
+                    chain = chain.then(() => {
+                        var mark = marks[row.key] || epoch + ":0";
+                        try {
+                            return this.upgradeRow(row, mark);
+                        } catch (err) {
+                            // Leave it for get() to report
+                            Log("Unable to upgrade", row.key, err);
+                        }
+                    });
+                });
+                return chain;
+            });
+    }
+
+    /**
+     * Save something to persistent storage.
+     *
+     * @param {string} key
+     *      Name of thing to save.
+     * @param {string/object} value
+     *      Value of thing to save.
+     * @param {object} [options]
+     * @param {boolean} [options.forcePlainText]
+     *      Bypass encryption and save as plain text?
+     *      Default false.
+     * @param {boolean} [options.serialize]
+     *      Serialize `value` with JSON.stringify().
+     *      Default true.
+     * @param {integer} [options.ttl]
+     *      Milliseconds until the value expires.  After that, get() treats
+     *      it as missing, and sweep() removes it.
+     *      Default is to never expire.
+     * @return {Promise}
+     */
+    set(key, value, options = {}) {
+        if (this.isGated(key)) {
+            return this._lockGate.then(() => {
+                return this.set(key, value, options);
+            });
+        }
+
+        // Serialize
+        if (options.serialize !== false) {
+            value = JSON.stringify(value);
+        }
+        var row = this.prepareRow(key, value, options);
+
+        return this.dbReady
+            .then(() => {
+                return this.backend.set(
+                    key,
+                    row.value,
+                    row.isEncrypted,
+                    row.expiresAt
+                );
+            })
+            .then(() => {
+                this.trackUsage(key, row.value);
+                this.notify(key, value);
+            })
+            .catch((err) => {
+                Log("DB error", err);
+                if (Storage.isQuotaError(err)) {
+                    this.emitQuotaWarning(true);
+                }
+                throw err;
+            });
+    }
+
+    /**
+     * prepareRow()
+     * encrypt a serialized value for writing to the backend.
+     * @param {string} key
+     * @param {string} value
+     * @param {object} [options]
+     * @param {boolean} [options.forcePlainText]
+     * @param {integer} [options.ttl]
+     * @return {object}
+     *      { value: {string}, isEncrypted: {int}, expiresAt: {int} }
+     */
+    prepareRow(key, value, options = {}) {
+        var forcePlainText = disableEncryption || !!options.forcePlainText;
+
+        this._writeSeq[key] = (this._writeSeq[key] || 0) + 1;
+
+        var isEncrypted = 0;
+        // Encrypt
+        if (!forcePlainText && this.secret) {
+            if (this._rekey) {
+                // A password change is in progress, so new data goes
+                // directly under the new key.
+                value = this.encrypt(value, this._rekey.key, this._rekey.kdf);
+                isEncrypted = this._rekey.generation;
+                this._rekey.written.add(key);
+            } else {
+                value = this.encrypt(value);
+                //value = CryptoJS.AES.encrypt(value, this.secret).toString();
+                isEncrypted = 1;
+            }
+        }
+
+        return {
+            value: value,
+            isEncrypted: isEncrypted,
+            expiresAt: options.ttl ? Date.now() + options.ttl : null
+        };
+    }
+
+    /**
+     * Make several changes that are saved together, or not at all.
+     *
+     * `fn` is given a StorageTransaction with get(), set(), clear(), lock()
+     * and afterCommit().  The writes are committed in one database
+     * transaction once the Promise it returns resolves.  If it rejects,
+     * nothing is written.
+     *
+     * Example:
+     *      storage.transaction((tx) => {
+     *          return tx.get("a").then((a) => {
+     *              return Promise.all([tx.set("a", a + 1), tx.clear("b")]);
+     *          });
+     *      });
+     *
+     * @param {fn} fn
+     *      fn(tx) that returns a {Promise}
+     * @return {Promise}
+     *      Resolves with the result of `fn`, after the writes are committed.
+     */
+    transaction(fn) {
+        var tx = new StorageTransaction(this);
+
+        return Promise.resolve()
+            .then(() => {
+                return fn(tx);
+            })
+            .then((result) => {
+                // no more changes
+                tx.isDone = true;
+                return this.commit(tx.writes).then(() => {
+                    return result;
+                });
+            })
+            .then(
+                (result) => {
+                    tx.finish();
+                    tx.committed();
+                    return result;
+                },
+                (err) => {
+                    tx.finish();
+                    throw err;
+                }
+            );
+    }
+
+    /**
+     * commit()
+     * write the changes of a StorageTransaction in one backend batch.
+     * @param {object} writes  see StorageTransaction.writes
+     * @return {Promise}
+     */
+    commit(writes) {
+        var keys = Object.keys(writes);
+        if (keys.length == 0) {
+            return Promise.resolve();
+        }
+
+        var gatedKey = keys.find((key) => {
+            return this.isGated(key);
+        });
+        if (gatedKey) {
+            return this._lockGate.then(() => {
+                return this.commit(writes);
+            });
+        }
+
+        var ops = keys.map((key) => {
+            var write = writes[key];
+            if (write === null) {
+                this._writeSeq[key] = (this._writeSeq[key] || 0) + 1;
+                return { key: key, clear: true };
+            }
+            var row = this.prepareRow(key, write.text, write.options);
+            return {
+                key: key,
+                value: row.value,
+                isEncrypted: row.isEncrypted,
+                expiresAt: row.expiresAt
+            };
+        });
+
+        return this.dbReady
+            .then(() => {
+                return this.backend.batch(ops);
+            })
+            .then(() => {
+                ops.forEach((op) => {
+                    this.trackUsage(op.key, op.clear ? null : op.value);
+                });
+                keys.forEach((key) => {
+                    this.notify(key, writes[key] ? writes[key].text : null);
+                });
+            })
+            .catch((err) => {
+                Log("DB error", err);
+                analytics.logError(err);
+                if (Storage.isQuotaError(err)) {
+                    this.emitQuotaWarning(true);
+                }
+                throw err;
+            });
+    }
+
+    /**
+     * Load something from persistent storage.
+     *
+     * @param {string} key
+     *      Name of thing to load.
+     * @param {object} [options]
+     * @param {boolean} [resetAppOnFailure]
+     *      Reload the app on failure to decrypt?
+     *      Default true.
+     * @param {boolean} [deserialize]
+     *      Deserialize loaded value with JSON.parse().
+     *      Default true.
+     * @param {boolean} [withExpiry]
+     *      Resolve with { value, expiresAt, isExpired } instead of the value,
+     *      including values that have expired.
+     *      Default false: expired values are treated as missing.
+     * @return {Promise}
+     */
+    get(key, options = {}) {
+        if (this.isGated(key)) {
+            return this._lockGate.then(() => {
+                return this.get(key, options);
+            });
+        }
+
+        options = Storage.readOptions(options);
+        var mark = this.writeMark(key);
+
+        return this.dbReady
+            .then(() => {
+                return this.backend.get(key);
+            })
+            .catch((err) => {
+                Log("DB error", err);
+                analytics.logError(err);
+                throw err;
+            })
+            .then((row) => {
+                return this.readRow(row, options, mark);
+            })
+            .then((value) => {
+                // expired
+                return value === undefined ? null : value;
+            });
+    }
+
+    /**
+     * Load all the values whose keys begin with the given prefix.
+     *
+     * @param {string} prefix
+     * @param {object} [options]  see get()
+     * @return {Promise}
+     *      Resolves with { key: value }
+     */
+    getPrefix(prefix, options = {}) {
+        if (this.isGated(prefix)) {
+            return this._lockGate.then(() => {
+                return this.getPrefix(prefix, options);
+            });
+        }
+
+        options = Storage.readOptions(options);
+        var marks = {};
+        var epoch = this._writeEpoch;
+        Object.keys(this._writeSeq).forEach((key) => {
+            if (key.indexOf(prefix) == 0) {
+                marks[key] = this.writeMark(key);
+            }
+        });
+
+        var values = {};
+        return this.dbReady
+            .then(() => {
+                return this.backend.getPrefix(prefix);
+            })
+            .catch((err) => {
+                Log("DB error", err);
+                analytics.logError(err);
+                throw err;
+            })
+            .then((rows) => {
+                return Promise.all(
+                    rows.map((row) => {
+                        var mark = marks[row.key] || epoch + ":0";
+                        return this.readRow(row, options, mark).then(
+                            (value) => {
+                                if (value !== undefined) {
+                                    values[row.key] = value;
+                                }
+                            }
+                        );
+                    })
+                );
+            })
+            .then(() => {
+                return values;
+            });
+    }
+
+    /**
+     * List the stored keys that begin with the given prefix.  Nothing is
+     * decrypted.
+     *
+     * @param {string} prefix
+     * @return {Promise}
+     *      Resolves with an [array] of keys, not including expired values.
+     */
+    keys(prefix) {
+        if (this.isGated(prefix)) {
+            return this._lockGate.then(() => {
+                return this.keys(prefix);
+            });
+        }
+
+        var now = Date.now();
+        return this.dbReady
+            .then(() => {
+                return this.backend.getPrefix(prefix);
+            })
+            .then((rows) => {
+                return rows
+                    .filter((row) => {
+                        return !row.expires_at || row.expires_at > now;
+                    })
+                    .map((row) => {
+                        return row.key;
+                    });
+            })
+            .catch((err) => {
+                Log("DB error", err);
+                analytics.logError(err);
+                throw err;
+            });
+    }
+
+    /**
+     * readOptions()
+     * fill in the defaults of the get() options.
+     * @param {object} options
+     * @return {object}
+     */
+    static readOptions(options) {
+        var defaults = {
+            resetAppOnFailure: true,
+            deserialize: true
+        };
+        if (disableEncryption) {
+            defaults.resetAppOnFailure = false;
+        }
+        return Object.assign({}, defaults, options);
+    }
+
+    /**
+     * readRow()
+     * decrypt and deserialize a row loaded from the backend.
+     * @param {object} row  or null if it wasn't found
+     * @param {object} options  see get()
+     * @param {string} mark  from `writeMark()`, taken before the row was loaded
+     * @return {Promise}
+     *      Resolves with the value.  That is null if the row wasn't found, or
+     *      undefined if it has expired.
+     */
+    readRow(row, options, mark) {
+        return new Promise((resolve, reject) => {
+            if (!row) {
+                // Not found
+                resolve(null);
+                return;
+            }
+            var key = row.key;
+            var expiresAt = row.expires_at || null;
+            var isExpired = !!expiresAt && expiresAt <= Date.now();
+            if (isExpired && !options.withExpiry) {
+                resolve(undefined);
+                return;
+            }
+
+            var value = row.value;
+
+            // Decrypt
+            if (row.is_encrypted && this.secret) {
+                try {
+                    value = this.decrypt(value, this.keyForRow(row));
+                    //value = CryptoJS.AES.decrypt(value, this.secret).toString(CryptoJS.enc.Utf8);
+                } catch (err) {
+                    // Unable to decrypt
+                    if (err.code == "E_DECRYPT_AUTH" && this.isUnlocked) {
+                        // The password was already verified, so
+                        // the data itself is bad. Reloading
+                        // won't help.
+                        Log("Stored data is corrupt", key);
+                        analytics.logError(err);
+                        reject(err);
+                    } else if (options.resetAppOnFailure) {
+                        document.location.reload();
+                    } else {
+                        Log("Incorrect password");
+                        reject(passwordError());
+                    }
+                    return;
+                }
+            } else if (row.is_encrypted) {
+                //alert('Password is required');
+                if (options.resetAppOnFailure) {
+                    document.location.reload();
+                } else {
+                    Log("Missing password");
+                    reject(new Error("Missing password"));
+                }
+                return;
+            }
+
+            // Move old data to the current format
+            if (row.is_encrypted && Storage.isLegacyCiphertext(row.value)) {
+                this.upgradeRow(row, mark).catch((err) => {
+                    Log("Unable to upgrade", key, err);
+                });
+            }
+
+            if (key in this._watchedValues) {
+                this._watchedValues[key] = value;
+            }
+
+            // Deserialize
+            if (options.deserialize) {
+                try {
+                    value = JSON.parse(value);
+                } catch (err) {
+                    Log("Bad saved data?", key, value);
+                    value = null;
+                }
+            }
+
+            if (options.withExpiry) {
+                value = {
+                    value: value,
+                    expiresAt: expiresAt,
+                    isExpired: isExpired
+                };
+            }
+
+            resolve(value);
+        });
+    }
+
+    clear(key) {
+        if (this.isGated(key)) {
+            return this._lockGate.then(() => {
+                return this.clear(key);
+            });
+        }
+
+        this._writeSeq[key] = (this._writeSeq[key] || 0) + 1;
+        return this.dbReady
+            .then(() => {
+                return this.backend.clear(key);
+            })
+            .then(() => {
+                this.trackUsage(key, null);
+                this.notify(key, null);
+            })
+            .catch((err) => {
+                Log("DB error", err);
+                analytics.logError(err);
+                throw err;
+            });
+    }
+
+    clearAll() {
+        this._writeEpoch++;
+        return this.dbReady
+            .then(() => {
+                return this.backend.clearAll();
+            })
+            .then(() => {
+                if (this._usage) {
+                    this._usage.sizes = {};
+                    this._usage.total = 0;
+                    this.checkQuota();
+                }
+                this.notify(null, null);
+            })
+            .catch((err) => {
+                Log("DB error", err);
+                analytics.logError(err);
+                throw err;
+            });
+    }
+
+    /**
+     * Remove the values that have expired.  See the `ttl` option of set().
+     *
+     * This is run in the background after the app is unlocked.
+     *
+     * @return {Promise}
+     *      Resolves with the number of values removed.
+     */
+    sweep() {
+        // Values written after this point are left alone
+        var marks = {};
+        var epoch = this._writeEpoch;
+        Object.keys(this._writeSeq).forEach((key) => {
+            marks[key] = this.writeMark(key);
+        });
+        var now = Date.now();
+
+        return this.dbReady
+            .then(() => {
+                return this.backend.getAll();
+            })
+            .then((rows) => {
+                var keys = rows
+                    .filter((row) => {
+                        var mark = marks[row.key] || epoch + ":0";
+                        return (
+                            row.expires_at &&
+                            row.expires_at <= now &&
+                            mark == this.writeMark(row.key)
+                        );
+                    })
+                    .map((row) => {
+                        return row.key;
+                    });
+                if (keys.length == 0) {
+                    return 0;
+                }
+
+                var ops = keys.map((key) => {
+                    this._writeSeq[key] = (this._writeSeq[key] || 0) + 1;
+                    return { key: key, clear: true };
+                });
+                return this.backend.batch(ops).then(() => {
+                    keys.forEach((key) => {
+                        this.trackUsage(key, null);
+                        this.notify(key, null);
+                    });
+                    analytics.event("expired data removed", {
+                        rows: keys.length
+                    });
+                    return keys.length;
+                });
+            });
+    }
+
+    /**
+     * Be told about changes to a stored value.
+     *
+     * `handler` is called after a set(), clear() or clearAll() has been
+     * saved, including writes made by a transaction():
+     *      handler({
+     *          key: {string}, or null after clearAll()
+     *          value: {*} the new value, or null if cleared
+     *          oldValue: {*} the previous value if it was known, otherwise
+     *                    undefined
+     *      })
+     *
+     * Example:
+     *      var unwatch = storage.watch("O:*", (change) => { ... });
+     *      ...
+     *      unwatch();
+     *
+     * @param {string} key
+     *      A key, or a key prefix ending in "*".  "*" watches everything.
+     * @param {fn} handler
+     * @return {fn}
+     *      Call this to stop watching.
+     */
+    watch(key, handler) {
+        var isPrefix = key.slice(-1) == "*";
+        var watcher = {
+            key: isPrefix ? key.slice(0, -1) : key,
+            isPrefix: isPrefix,
+            handler: handler
+        };
+        this._watchers.push(watcher);
+
+        // keep the current value, to be the oldValue of the next change
+        if (!isPrefix && !(key in this._watchedValues)) {
+            this._watchedValues[key] = undefined;
+        }
+
+        return () => {
+            var index = this._watchers.indexOf(watcher);
+            if (index > -1) {
+                this._watchers.splice(index, 1);
+            }
+            if (!this.isWatched(key)) {
+                delete this._watchedValues[key];
+            }
+        };
+    }
+
+    /**
+     * isWatched()
+     * @param {string} key
+     * @return {bool}
+     */
+    isWatched(key) {
+        return this._watchers.some((watcher) => {
+            return watcher.isPrefix
+                ? key.indexOf(watcher.key) == 0
+                : key == watcher.key;
+        });
+    }
+
+    /**
+     * notify()
+     * call the watchers of a key that was changed.
+     * @param {string|null} key  null after clearAll()
+     * @param {string|null} text  the new serialized value, or null if cleared
+     */
+    notify(key, text) {
+        if (this._watchers.length == 0) return;
+
+        var oldText;
+        if (key === null) {
+            Object.keys(this._watchedValues).forEach((k) => {
+                this._watchedValues[k] = null;
+            });
+        } else if (key in this._watchedValues) {
+            oldText = this._watchedValues[key];
+            this._watchedValues[key] = text;
+        }
+
+        // Each handler gets its own copy of the values
+        var parse = (text) => {
+            if (typeof text != "string") return text;
+            try {
+                return JSON.parse(text);
+            } catch (err) {
+                return text;
+            }
+        };
+
+        this._watchers.slice().forEach((watcher) => {
+            if (key !== null) {
+                var isMatch = watcher.isPrefix
+                    ? key.indexOf(watcher.key) == 0
+                    : key == watcher.key;
+                if (!isMatch) return;
+            }
+            try {
+                watcher.handler({
+                    key: key,
+                    value: parse(text),
+                    oldValue: parse(oldText)
+                });
+            } catch (err) {
+                Log("Storage watcher error", key, err);
+                analytics.logError(err);
+            }
+        });
+    }
+
+    /**
+     * Report how much space the stored data uses.
+     *
+     * Sizes are the UTF-8 bytes of each key and its stored (serialized and
+     * possibly encrypted) value. The database's own overhead is not counted.
+     *
+     * This does not need the storage to be unlocked.
+     *
+     * @return {Promise}
+     *      Resolves with
+     *      {
+     *          total: {int} bytes,
+     *          quota: {int} bytes, or null if there is no known limit,
+     *          groups: [
+     *              {
+     *                  name: {string}, "objects", "queues", etc.
+     *                  bytes: {int},
+     *                  keys: [
+     *                      { key: {string}, bytes: {int}, encrypted: {bool} }
+     *                  ]   largest first
+     *              }
+     *          ]
+     *      }
+     */
+    usage() {
+        var report = {
+            total: 0,
+            quota: null,
+            groups: USAGE_GROUPS.map((group) => {
+                return { name: group.name, bytes: 0, keys: [] };
+            })
+        };
+        var sizes = {};
+
+        return this.dbReady
+            .then(() => {
+                return Promise.all([
+                    this.backend.getAll(),
+                    this.backend.quota()
+                ]);
+            })
+            .then((results) => {
+                var rows = results[0];
+                report.quota = config.platform.storageQuotaMB
+                    ? config.platform.storageQuotaMB * 1024 * 1024
+                    : results[1];
+
+                rows.forEach((row) => {
+                    var bytes = byteLength(row.key) + byteLength(row.value);
+                    var group = report.groups[Storage.usageGroup(row.key)];
+                    group.keys.push({
+                        key: row.key,
+                        bytes: bytes,
+                        encrypted: !!row.is_encrypted
+                    });
+                    group.bytes += bytes;
+                    report.total += bytes;
+                    sizes[row.key] = bytes;
+                });
+                report.groups.forEach((group) => {
+                    group.keys.sort((a, b) => {
+                        return b.bytes - a.bytes;
+                    });
+                });
+
+                this._usage = {
+                    sizes: sizes,
+                    total: report.total,
+                    quota: report.quota,
+                    isWarned: this._usage ? this._usage.isWarned : false
+                };
+                this.checkQuota();
+
+                return report;
+            });
+    }
+
+    /**
+     * usageGroup()
+     * find which of the usage() groups a key belongs to.
+     * @param {string} key
+     * @return {integer} index of the group
+     */
+    static usageGroup(key) {
+        for (var i = 0; i < USAGE_GROUPS.length; i++) {
+            var group = USAGE_GROUPS[i];
+            if (group.keys) {
+                if (group.keys.indexOf(key) > -1) return i;
+            } else if (key.indexOf(group.prefix) == 0) {
+                return i;
+            }
+        }
+        return USAGE_GROUPS.length - 1;
+    }
+
+    /**
+     * isQuotaError()
+     * was a write refused because the database is full?
+     * @param {Error|SQLError|DOMException} err
+     * @return {bool}
+     */
+    static isQuotaError(err) {
+        return (
+            !!err &&
+            (err.name == "QuotaExceededError" ||
+                // SQLError.QUOTA_ERR
+                (err.code == 4 && typeof err.message == "string"))
+        );
+    }
+
+    /**
+     * trackUsage()
+     * update the usage totals after a write, once usage() has been called.
+     * @param {string} key
+     * @param {string|null} value  the stored value, or null if removed
+     */
+    trackUsage(key, value) {
+        if (!this._usage) return;
+
+        var sizes = this._usage.sizes;
+        var bytes = value === null ? 0 : byteLength(key) + byteLength(value);
+        this._usage.total += bytes - (sizes[key] || 0);
+        if (value === null) {
+            delete sizes[key];
+        } else {
+            sizes[key] = bytes;
+        }
+        this.checkQuota();
+    }
+
+    /**
+     * checkQuota()
+     * emit "quota.warning" once when usage passes the warning level. It can
+     * be emitted again after usage has dropped back below it.
+     */
+    checkQuota() {
+        var usage = this._usage;
+        if (!usage || !usage.quota) return;
+
+        if (usage.total / usage.quota < QUOTA_WARNING) {
+            usage.isWarned = false;
+        } else if (!usage.isWarned) {
+            usage.isWarned = true;
+            this.emitQuotaWarning(false);
+        }
+    }
+
+    /**
+     * emitQuotaWarning()
+     * @param {bool} isFull  was a write refused for lack of space?
+     */
+    emitQuotaWarning(isFull) {
+        var usage = this._usage || {};
+        analytics.event("storage quota warning", {
+            total: usage.total,
+            quota: usage.quota,
+            isFull: isFull
+        });
+        this.emit("quota.warning", {
+            total: usage.total || null,
+            quota: usage.quota || null,
+            isFull: isFull
         });
     }
 
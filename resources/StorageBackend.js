@@ -0,0 +1,164 @@
+/**
+ * @class StorageBackend
+ *
+ * The base storage backend.  This class outlines the interface that the
+ * Storage object uses to persist its `key_value_data` rows.
+ *
+ * Each row looks like:
+ *      {
+ *          key: {string},
+ *          value: {string},        // serialized and possibly encrypted
+ *          is_encrypted: {int},    // 0 for plain text
+ *          expires_at: {int}       // timestamp (ms), or null
+ *      }
+ *
+ * A backend only moves rows in and out of a database.  Serialization and
+ * encryption are handled by the Storage object.
+ */
+"use strict";
+
+export default class StorageBackend {
+    /**
+     * @param {object} options
+     * @param {string} options.name
+     *      The name of the database.
+     * @param {string} [options.label]
+     * @param {string} [options.version]
+     * @param {integer} [options.sizeInMB]
+     */
+    constructor(options = {}) {
+        this.name = options.name || "sdc";
+        this.label = options.label || "SDC";
+        this.version = options.version || "1.0";
+        this.sizeInMB = options.sizeInMB || 2;
+    }
+
+    /**
+     * isAvailable()
+     * report whether this backend can be used on the current device.
+     * @return {bool}
+     */
+    static isAvailable() {
+        return false;
+    }
+
+    /**
+     * init()
+     * open the database and make sure our `key_value_data` table exists.
+     * @return {Promise}
+     */
+    init() {
+        return Promise.resolve();
+    }
+
+    /**
+     * get()
+     * load a single row.
+     * @param {string} key
+     * @return {Promise}
+     *      resolved with the row, or null if not found.
+     */
+    get(/* key */) {
+        return Promise.reject(
+            new Error("StorageBackend.get() not implemented")
+        );
+    }
+
+    /**
+     * getAll()
+     * load every stored row.
+     * @return {Promise}
+     *      resolved with an [array] of rows.
+     */
+    getAll() {
+        return Promise.reject(
+            new Error("StorageBackend.getAll() not implemented")
+        );
+    }
+
+    /**
+     * getPrefix()
+     * load the rows whose keys begin with the given prefix.
+     * @param {string} prefix
+     * @return {Promise}
+     *      resolved with an [array] of rows.
+     */
+    getPrefix(prefix) {
+        return this.getAll().then((rows) => {
+            return rows.filter((row) => {
+                return row.key.indexOf(prefix) == 0;
+            });
+        });
+    }
+
+    /**
+     * set()
+     * insert or replace a single row.
+     * @param {string} key
+     * @param {string} value
+     * @param {integer} isEncrypted  0 for plain text
+     * @param {integer} [expiresAt]  timestamp (ms), or null
+     * @return {Promise}
+     */
+    set(/* key, value, isEncrypted, expiresAt */) {
+        return Promise.reject(
+            new Error("StorageBackend.set() not implemented")
+        );
+    }
+
+    /**
+     * clear()
+     * remove a single row.
+     * @param {string} key
+     * @return {Promise}
+     */
+    clear(/* key */) {
+        return Promise.reject(
+            new Error("StorageBackend.clear() not implemented")
+        );
+    }
+
+    /**
+     * clearAll()
+     * remove every row.
+     * @return {Promise}
+     */
+    clearAll() {
+        return Promise.reject(
+            new Error("StorageBackend.clearAll() not implemented")
+        );
+    }
+
+    /**
+     * batch()
+     * insert, replace and remove several rows in a single database
+     * transaction.  Either all of them are written, or none are.
+     * @param {array} ops
+     *      [
+     *          {
+     *              key: {string},
+     *              value: {string},
+     *              isEncrypted: {int},
+     *              expiresAt: {int}
+     *          },
+     *          { key: {string}, clear: true }
+     *      ]
+     * @return {Promise}
+     */
+    batch(/* ops */) {
+        return Promise.reject(
+            new Error("StorageBackend.batch() not implemented")
+        );
+    }
+
+    /**
+     * quota()
+     * report how much data this database may hold.
+     * @return {Promise}
+     *      resolved with the number of bytes, or null if there is no known
+     *      limit.
+     */
+    quota() {
+        return Promise.resolve(null);
+    }
+}
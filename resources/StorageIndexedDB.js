@@ -0,0 +1,157 @@
+/**
+ * @class StorageIndexedDB
+ *
+ * A Storage backend that keeps its data in an IndexedDB object store.
+ */
+"use strict";
+
+import StorageBackend from "./StorageBackend.js";
+
+const STORE = "key_value_data";
+
+export default class StorageIndexedDB extends StorageBackend {
+    static isAvailable() {
+        return typeof indexedDB != "undefined" && indexedDB != null;
+    }
+
+    init() {
+        return new Promise((resolve, reject) => {
+            var request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => {
+                var db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: "key" });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => {
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                reject(new Error("IndexedDB open request was blocked"));
+            };
+        });
+    }
+
+    /**
+     * request()
+     * perform an operation on our object store within a single transaction.
+     * @param {string} mode  "readonly" or "readwrite"
+     * @param {fn} fn  fn(store) that returns an IDBRequest (or nothing)
+     * @return {Promise}
+     *      resolved with the request's result once the transaction completes.
+     */
+    request(mode, fn) {
+        return new Promise((resolve, reject) => {
+            var tx = this.db.transaction(STORE, mode);
+            var req = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => {
+                resolve(req ? req.result : undefined);
+            };
+            tx.onerror = () => {
+                reject(tx.error);
+            };
+            tx.onabort = () => {
+                reject(tx.error || new Error("IndexedDB transaction aborted"));
+            };
+        });
+    }
+
+    get(key) {
+        return this.request("readonly", (store) => {
+            return store.get(key);
+        }).then((row) => {
+            return row || null;
+        });
+    }
+
+    getAll() {
+        var rows = [];
+        return this.request("readonly", (store) => {
+            var cursorReq = store.openCursor();
+            cursorReq.onsuccess = () => {
+                var cursor = cursorReq.result;
+                if (cursor) {
+                    rows.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+        }).then(() => {
+            return rows;
+        });
+    }
+
+    getPrefix(prefix) {
+        var rows = [];
+        return this.request("readonly", (store) => {
+            var range = IDBKeyRange.bound(prefix, prefix + "\uffff");
+            var cursorReq = store.openCursor(range);
+            cursorReq.onsuccess = () => {
+                var cursor = cursorReq.result;
+                if (cursor) {
+                    rows.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+        }).then(() => {
+            return rows;
+        });
+    }
+
+    set(key, value, isEncrypted, expiresAt = null) {
+        return this.request("readwrite", (store) => {
+            store.put({
+                key: key,
+                value: value,
+                is_encrypted: isEncrypted,
+                expires_at: expiresAt
+            });
+        });
+    }
+
+    clear(key) {
+        return this.request("readwrite", (store) => {
+            store.delete(key);
+        });
+    }
+
+    clearAll() {
+        return this.request("readwrite", (store) => {
+            store.clear();
+        });
+    }
+
+    batch(ops) {
+        return this.request("readwrite", (store) => {
+            ops.forEach((op) => {
+                if (op.clear) {
+                    store.delete(op.key);
+                } else {
+                    store.put({
+                        key: op.key,
+                        value: op.value,
+                        is_encrypted: op.isEncrypted,
+                        expires_at: op.expiresAt || null
+                    });
+                }
+            });
+        });
+    }
+
+    quota() {
+        if (typeof navigator == "undefined" || !navigator.storage) {
+            return Promise.resolve(null);
+        }
+        return navigator.storage
+            .estimate()
+            .then((estimate) => {
+                return estimate.quota || null;
+            })
+            .catch(() => {
+                return null;
+            });
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * @class StorageMemory
+ *
+ * A Storage backend that only keeps its data in memory.  Nothing survives an
+ * app restart.
+ *
+ * This is used when no persistent database is available (headless tests,
+ * Node) or when requested with `config.platform.storageBackend = "memory"`.
+ */
+"use strict";
+
+import StorageBackend from "./StorageBackend.js";
+
+export default class StorageMemory extends StorageBackend {
+    constructor(options = {}) {
+        super(options);
+
+        this.rows = {
+            /* key : { key, value, is_encrypted } */
+        };
+    }
+
+    static isAvailable() {
+        return true;
+    }
+
+    get(key) {
+        var row = this.rows[key];
+        return Promise.resolve(row ? Object.assign({}, row) : null);
+    }
+
+    getAll() {
+        return Promise.resolve(
+            Object.keys(this.rows).map((key) => {
+                return Object.assign({}, this.rows[key]);
+            })
+        );
+    }
+
+    getPrefix(prefix) {
+        return Promise.resolve(
+            Object.keys(this.rows)
+                .filter((key) => {
+                    return key.indexOf(prefix) == 0;
+                })
+                .map((key) => {
+                    return Object.assign({}, this.rows[key]);
+                })
+        );
+    }
+
+    set(key, value, isEncrypted, expiresAt = null) {
+        this.rows[key] = {
+            key: key,
+            value: value,
+            is_encrypted: isEncrypted,
+            expires_at: expiresAt
+        };
+        return Promise.resolve();
+    }
+
+    clear(key) {
+        delete this.rows[key];
+        return Promise.resolve();
+    }
+
+    clearAll() {
+        this.rows = {};
+        return Promise.resolve();
+    }
+
+    batch(ops) {
+        ops.forEach((op) => {
+            if (op.clear) {
+                delete this.rows[op.key];
+            } else {
+                this.rows[op.key] = {
+                    key: op.key,
+                    value: op.value,
+                    is_encrypted: op.isEncrypted,
+                    expires_at: op.expiresAt || null
+                };
+            }
+        });
+        return Promise.resolve();
+    }
+}
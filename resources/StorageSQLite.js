@@ -0,0 +1,29 @@
+/**
+ * @class StorageSQLite
+ *
+ * A Storage backend that uses the Cordova SQLite plugin
+ * (cordova-sqlite-storage).  The plugin exposes the same transaction
+ * interface as WebSQL, but stores its data in a native SQLite file that is
+ * not affected by the WebView's WebSQL support.
+ */
+"use strict";
+
+import StorageWebSQL from "./StorageWebSQL.js";
+
+export default class StorageSQLite extends StorageWebSQL {
+    static isAvailable() {
+        return typeof window != "undefined" && !!window.sqlitePlugin;
+    }
+
+    openDatabase() {
+        return window.sqlitePlugin.openDatabase({
+            name: this.name + ".db",
+            location: "default"
+        });
+    }
+
+    quota() {
+        // A native file, limited only by the device's free space.
+        return Promise.resolve(null);
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * @class StorageTransaction
+ *
+ * The object passed to the function given to `storage.transaction()`.
+ *
+ * Writes made with `set()` and `clear()` are held until the function
+ * finishes.  They are then committed together in a single database
+ * transaction.  If the function fails, none of them are written.
+ *
+ * `get()` sees the writes already made in this transaction.
+ *
+ * A transaction does not stop other code from writing the same keys.  Use
+ * `lock()` to hold a key's storage Lock until the transaction is over.
+ */
+"use strict";
+
+export default class StorageTransaction {
+    /**
+     * @param {Storage} storage
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.isDone = false;
+
+        this.writes = {
+            // key : { text: {string}, options: {obj}, time: {int} },
+            //       or null if cleared
+        };
+        this._locks = {
+            // key : {Lock} held until the transaction is over
+        };
+        this._afterCommit = [
+            // fn() to call once the writes are saved
+        ];
+    }
+
+    /**
+     * get()
+     * load something, including the writes made in this transaction.
+     * @param {string} key
+     * @param {object} [options]  see Storage.get()
+     * @return {Promise}
+     */
+    get(key, options = {}) {
+        if (!(key in this.writes)) {
+            return this.storage.get(key, options);
+        }
+
+        var write = this.writes[key];
+        if (write === null) {
+            return Promise.resolve(null);
+        }
+
+        var value = null;
+        if (options.deserialize === false) {
+            value = write.text;
+        } else {
+            try {
+                value = JSON.parse(write.text);
+            } catch (err) {
+                value = null;
+            }
+        }
+        if (options.withExpiry) {
+            var ttl = write.options.ttl;
+            value = {
+                value: value,
+                expiresAt: ttl ? write.time + ttl : null,
+                isExpired: false
+            };
+        }
+        return Promise.resolve(value);
+    }
+
+    /**
+     * getPrefix()
+     * load all the values whose keys begin with the given prefix, including
+     * the writes made in this transaction.
+     * @param {string} prefix
+     * @param {object} [options]  see Storage.get()
+     * @return {Promise}
+     *      Resolves with { key: value }
+     */
+    getPrefix(prefix, options = {}) {
+        return this.storage.getPrefix(prefix, options).then((values) => {
+            return Promise.all(
+                this.writtenKeys(prefix).map((key) => {
+                    if (this.writes[key] === null) {
+                        delete values[key];
+                        return;
+                    }
+                    return this.get(key, options).then((value) => {
+                        values[key] = value;
+                    });
+                })
+            ).then(() => {
+                return values;
+            });
+        });
+    }
+
+    /**
+     * keys()
+     * list the keys that begin with the given prefix, including the writes
+     * made in this transaction.
+     * @param {string} prefix
+     * @return {Promise}
+     */
+    keys(prefix) {
+        return this.storage.keys(prefix).then((keys) => {
+            this.writtenKeys(prefix).forEach((key) => {
+                var index = keys.indexOf(key);
+                if (this.writes[key] === null) {
+                    if (index > -1) keys.splice(index, 1);
+                } else if (index == -1) {
+                    keys.push(key);
+                }
+            });
+            return keys;
+        });
+    }
+
+    /**
+     * writtenKeys()
+     * the keys set or cleared in this transaction that begin with prefix.
+     * @param {string} prefix
+     * @return {array}
+     */
+    writtenKeys(prefix) {
+        return Object.keys(this.writes).filter((key) => {
+            return key.indexOf(prefix) == 0;
+        });
+    }
+
+    /**
+     * set()
+     * save something when the transaction commits.  The value is serialized
+     * right away, so later changes to it are not saved.
+     * @param {string} key
+     * @param {*} value
+     * @param {object} [options]  see Storage.set()
+     * @return {Promise}
+     */
+    set(key, value, options = {}) {
+        if (this.isDone) return this.check();
+
+        this.writes[key] = {
+            text: options.serialize === false ? value : JSON.stringify(value),
+            options: options,
+            time: Date.now()
+        };
+        return Promise.resolve();
+    }
+
+    /**
+     * clear()
+     * remove something when the transaction commits.
+     * @param {string} key
+     * @return {Promise}
+     */
+    clear(key) {
+        if (this.isDone) return this.check();
+
+        this.writes[key] = null;
+        return Promise.resolve();
+    }
+
+    /**
+     * lock()
+     * acquire `storage.Lock(key)` for the rest of this transaction.
+     * Acquiring the same key again in this transaction does nothing.
+     * @param {string} key
+     * @return {Promise}
+     */
+    lock(key) {
+        return this.check().then(() => {
+            if (this._locks[key]) return;
+
+            var lock = this.storage.Lock(key);
+            return lock.acquire().then(() => {
+                if (this.isDone) {
+                    // finished while we were waiting
+                    lock.release();
+                    return;
+                }
+                this._locks[key] = lock;
+            });
+        });
+    }
+
+    /**
+     * afterCommit()
+     * call fn() once the writes of this transaction are saved, and its locks
+     * released.  It isn't called if the transaction fails.
+     * @param {fn} fn
+     */
+    afterCommit(fn) {
+        this._afterCommit.push(fn);
+    }
+
+    /**
+     * committed()
+     * called by Storage.transaction() once the writes are saved.
+     */
+    committed() {
+        var callbacks = this._afterCommit;
+        this._afterCommit = [];
+        callbacks.forEach((fn) => {
+            try {
+                fn();
+            } catch (err) {
+                console.error("StorageTransaction: afterCommit() error", err);
+            }
+        });
+    }
+
+    /**
+     * check()
+     * make sure the transaction is still open.
+     * @return {Promise}
+     */
+    check() {
+        if (this.isDone) {
+            return Promise.reject(
+                new Error("StorageTransaction is already finished")
+            );
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * finish()
+     * close the transaction, and release its locks.
+     */
+    finish() {
+        this.isDone = true;
+        Object.keys(this._locks).forEach((key) => {
+            this._locks[key].release();
+        });
+        this._locks = {};
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * @class StorageWebSQL
+ *
+ * A Storage backend that keeps its data in a WebSQL database.
+ *
+ * WebSQL is deprecated and is being removed from many WebViews.  This backend
+ * remains for older devices, and so data can be migrated off of it.
+ */
+"use strict";
+
+import StorageBackend from "./StorageBackend.js";
+
+export default class StorageWebSQL extends StorageBackend {
+    static isAvailable() {
+        return typeof openDatabase == "function";
+    }
+
+    /**
+     * openDatabase()
+     * return a database handle that implements the WebSQL interface.
+     * @return {Database}
+     */
+    openDatabase() {
+        return openDatabase(
+            this.name,
+            this.version,
+            this.label,
+            this.sizeInMB * 1024 * 1024
+        );
+    }
+
+    init() {
+        return Promise.resolve()
+            .then(() => {
+                this.db = this.openDatabase();
+            })
+            .then(() => {
+                return this.execute(`
+                    CREATE TABLE IF NOT EXISTS key_value_data
+                    (key PRIMARY KEY, value, is_encrypted, expires_at)
+                `);
+            })
+            .then(() => {
+                // Databases made before expires_at was added
+                return this.execute(
+                    `
+                        SELECT expires_at
+                        FROM key_value_data
+                        LIMIT 1
+                    `
+                ).catch(() => {
+                    return this.execute(`
+                        ALTER TABLE key_value_data
+                        ADD COLUMN expires_at
+                    `);
+                });
+            });
+    }
+
+    /**
+     * execute()
+     * run a single SQL statement in its own transaction.
+     * @param {string} sql
+     * @param {array} [params]
+     * @param {bool} [readOnly]
+     * @return {Promise}
+     *      resolved with the SQLResultSet
+     */
+    execute(sql, params = [], readOnly = false) {
+        return new Promise((resolve, reject) => {
+            var method = readOnly ? "readTransaction" : "transaction";
+            this.db[method](
+                (tx) => {
+                    tx.executeSql(
+                        sql,
+                        params,
+                        (tx, results) => {
+                            resolve(results);
+                        },
+                        (tx, err) => {
+                            reject(err);
+                        }
+                    );
+                },
+                (err) => {
+                    reject(err);
+                }
+            );
+        });
+    }
+
+    get(key) {
+        return this.execute(
+            `
+                SELECT key, value, is_encrypted, expires_at
+                FROM key_value_data
+                WHERE key = ?
+            `,
+            [key],
+            true
+        ).then((results) => {
+            if (results.rows.length < 1) {
+                return null;
+            }
+            return results.rows.item(0);
+        });
+    }
+
+    getAll() {
+        return this.execute(
+            `
+                SELECT key, value, is_encrypted, expires_at
+                FROM key_value_data
+            `,
+            [],
+            true
+        ).then((results) => {
+            var rows = [];
+            for (var i = 0; i < results.rows.length; i++) {
+                rows.push(results.rows.item(i));
+            }
+            return rows;
+        });
+    }
+
+    getPrefix(prefix) {
+        return this.execute(
+            `
+                SELECT key, value, is_encrypted, expires_at
+                FROM key_value_data
+                WHERE key >= ? AND key < ?
+            `,
+            [prefix, prefix + "\uffff"],
+            true
+        ).then((results) => {
+            var rows = [];
+            for (var i = 0; i < results.rows.length; i++) {
+                rows.push(results.rows.item(i));
+            }
+            return rows;
+        });
+    }
+
+    set(key, value, isEncrypted, expiresAt = null) {
+        return this.execute(
+            `
+                REPLACE INTO key_value_data (key, value, is_encrypted, expires_at)
+                VALUES (?, ?, ?, ?)
+            `,
+            [key, value, isEncrypted, expiresAt]
+        ).then(() => {});
+    }
+
+    clear(key) {
+        return this.execute(
+            `
+                DELETE FROM key_value_data
+                WHERE key = ?
+            `,
+            [key]
+        ).then(() => {});
+    }
+
+    clearAll() {
+        return this.execute(
+            `
+            DELETE FROM key_value_data
+        `
+        ).then(() => {});
+    }
+
+    batch(ops) {
+        return new Promise((resolve, reject) => {
+            this.db.transaction(
+                (tx) => {
+                    ops.forEach((op) => {
+                        if (op.clear) {
+                            tx.executeSql(
+                                `
+                                    DELETE FROM key_value_data
+                                    WHERE key = ?
+                                `,
+                                [op.key]
+                            );
+                        } else {
+                            tx.executeSql(
+                                `
+                                    REPLACE INTO key_value_data (key, value, is_encrypted, expires_at)
+                                    VALUES (?, ?, ?, ?)
+                                `,
+                                [
+                                    op.key,
+                                    op.value,
+                                    op.isEncrypted,
+                                    op.expiresAt || null
+                                ]
+                            );
+                        }
+                    });
+                },
+                (err) => {
+                    // any failed statement rolls back the whole transaction
+                    reject(err);
+                },
+                () => {
+                    resolve();
+                }
+            );
+        });
+    }
+
+    quota() {
+        // the size requested in openDatabase()
+        return Promise.resolve(this.sizeInMB * 1024 * 1024);
+    }
+}
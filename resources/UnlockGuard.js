@@ -0,0 +1,259 @@
+/**
+ * @class UnlockGuard
+ *
+ * Limits guessing of the pass phrase on the unlock screen.
+ *
+ * Every unlock attempt is counted before the pass phrase is checked, so
+ * closing the app during the check does not get a free retry.  Attempts that
+ * fail for another reason than a wrong pass phrase (a storage error) are
+ * given back.  After a few failures, further attempts must wait an
+ * increasing amount of time.  The wait is measured with a monotonic clock,
+ * and only counts while the app is open, so changing the device's clock does
+ * not shorten it.
+ *
+ * Optionally, all data is erased after too many failures in a row. This is
+ * set with `config.platform.unlock.maxAttempts`, or by the server through
+ * `appPolicy.maxUnlockAttempts`.  The stricter of the two is used.
+ *
+ * The unlock screen runs before the encrypted data can be read, so the
+ * counter and the policy are kept in plain text.
+ */
+"use strict";
+
+import analytics from "./Analytics.js";
+import Log from "./Log.js";
+import { storage } from "./Storage.js";
+
+var config = require("../../config/config.js");
+
+// Seconds to wait before the next attempt, indexed by the number of failures
+// so far. The last value is used for everything beyond.
+const DEFAULT_DELAYS = [0, 0, 0, 30, 60, 300, 900, 3600];
+
+/**
+ * Milliseconds from a fixed point, that the device's clock does not change.
+ * @return {number}
+ */
+function monotonicNow() {
+    if (typeof performance != "undefined" && performance.now) {
+        return performance.now();
+    }
+    return Date.now();
+}
+
+class UnlockGuard {
+    constructor() {
+        var options = config.platform.unlock || {};
+
+        this.delays = options.delays || DEFAULT_DELAYS;
+        this.configMaxAttempts = parseInt(options.maxAttempts) || 0;
+
+        this.state = {
+            failures: 0, // consecutive failed (or unfinished) attempts
+            delay: 0, // ms to wait after the last attempt
+            waited: 0 // ms of the delay already waited
+        };
+        // monotonicNow() when .waited was last brought up to date
+        this.since = monotonicNow();
+        // the state before beginAttempt(), for cancelAttempt()
+        this.previous = null;
+
+        this.policy = {
+            maxAttempts: this.configMaxAttempts // 0 means never wipe
+        };
+    }
+
+    /**
+     * load()
+     * read the stored attempt count and policy.
+     * @return {Promise}
+     */
+    load() {
+        var options = { resetAppOnFailure: false };
+        return Promise.all([
+            storage.get("__sdc_unlock", options),
+            storage.get("__sdc_unlock_policy", options)
+        ]).then((values) => {
+            var state = values[0] || {};
+            this.state = {
+                failures: state.failures || 0,
+                delay: state.delay || 0,
+                waited: state.waited || 0
+            };
+            if (state.lockedUntil) {
+                // saved by an older version, as a timestamp
+                this.state.delay = Math.max(0, state.lockedUntil - Date.now());
+            }
+            this.since = monotonicNow();
+            this.applyPolicy(values[1] || {});
+        });
+    }
+
+    /**
+     * applyPolicy()
+     * combine the server's unlock policy with our config.
+     * @param {object} serverPolicy
+     *      { maxAttempts: {int} }
+     */
+    applyPolicy(serverPolicy) {
+        var limits = [
+            this.configMaxAttempts,
+            parseInt(serverPolicy.maxAttempts) || 0
+        ].filter((n) => n > 0);
+
+        this.policy = {
+            maxAttempts: limits.length ? Math.min.apply(null, limits) : 0
+        };
+    }
+
+    /**
+     * savePolicy()
+     * keep the unlock settings from the server's appPolicy in plain text, so
+     * they can be enforced before the app is unlocked.
+     * @param {object} appPolicy
+     * @return {Promise}
+     */
+    savePolicy(appPolicy) {
+        var serverPolicy = {
+            maxAttempts: parseInt((appPolicy || {}).maxUnlockAttempts) || 0
+        };
+        this.applyPolicy(serverPolicy);
+        return storage.set("__sdc_unlock_policy", serverPolicy, {
+            forcePlainText: true
+        });
+    }
+
+    /**
+     * lockoutRemaining()
+     * @return {integer}
+     *      milliseconds until another attempt is allowed.
+     */
+    lockoutRemaining() {
+        var waited = this.state.waited + (monotonicNow() - this.since);
+        return Math.max(0, this.state.delay - waited);
+    }
+
+    /**
+     * elapse()
+     * save how much of the lockout has been waited, so it is not waited
+     * again after the app is closed.
+     * @return {Promise}
+     */
+    elapse() {
+        var now = monotonicNow();
+        this.state.waited = Math.min(
+            this.state.delay,
+            this.state.waited + (now - this.since)
+        );
+        this.since = now;
+        return this.save();
+    }
+
+    /**
+     * attemptsRemaining()
+     * @return {integer|null}
+     *      attempts left before all data is erased, or null if there is no
+     *      such policy.
+     */
+    attemptsRemaining() {
+        if (!this.policy.maxAttempts) return null;
+        return Math.max(0, this.policy.maxAttempts - this.state.failures);
+    }
+
+    /**
+     * beginAttempt()
+     * record an unlock attempt.  Call this before checking the pass phrase.
+     * @return {Promise}
+     *      rejects with .code "E_LOCKED_OUT" if attempts are not allowed yet.
+     */
+    beginAttempt() {
+        if (this.lockoutRemaining() > 0) {
+            var error = new Error("Too many attempts");
+            error.code = "E_LOCKED_OUT";
+            return Promise.reject(error);
+        }
+
+        var failures = this.state.failures + 1;
+        var index = Math.min(failures, this.delays.length - 1);
+        this.previous = this.state;
+        this.state = {
+            failures: failures,
+            delay: this.delays[index] * 1000,
+            waited: 0
+        };
+        this.since = monotonicNow();
+        return this.save();
+    }
+
+    /**
+     * cancelAttempt()
+     * the attempt could not check the pass phrase, because of an error in
+     * the storage. Don't count it.
+     * @return {Promise}
+     */
+    cancelAttempt() {
+        if (!this.previous) return Promise.resolve();
+
+        // its lockout was over, or the attempt wasn't allowed
+        this.state = Object.assign({}, this.previous, {
+            waited: this.previous.delay
+        });
+        this.previous = null;
+        this.since = monotonicNow();
+        return this.save().catch((err) => {
+            Log("UnlockGuard: unable to cancel attempt", err);
+        });
+    }
+
+    /**
+     * succeeded()
+     * the pass phrase was correct. Reset the count, and refresh our copy of
+     * the server's policy now that it can be read.
+     * @return {Promise}
+     */
+    succeeded() {
+        this.state = { failures: 0, delay: 0, waited: 0 };
+        this.previous = null;
+        return this.save()
+            .then(() => {
+                return storage.get("appPolicy");
+            })
+            .then((appPolicy) => {
+                if (appPolicy) {
+                    return this.savePolicy(appPolicy);
+                }
+            })
+            .catch((err) => {
+                Log("UnlockGuard: unable to refresh policy", err);
+            });
+    }
+
+    /**
+     * failed()
+     * the pass phrase was wrong. Erase all data if the policy says so.
+     * @return {Promise}
+     *      resolves true if the data was erased.
+     */
+    failed() {
+        if (this.attemptsRemaining() !== 0) {
+            return Promise.resolve(false);
+        }
+
+        analytics.event("unlock attempts exceeded, erasing data", {
+            failures: this.state.failures
+        });
+        return storage.clearAll().then(() => {
+            this.state = { failures: 0, delay: 0, waited: 0 };
+            return true;
+        });
+    }
+
+    save() {
+        return storage.set("__sdc_unlock", this.state, {
+            forcePlainText: true
+        });
+    }
+}
+
+var unlockGuard = new UnlockGuard();
+export default unlockGuard;
@@ -0,0 +1,14 @@
+/**
+ * What ABModelLocal uses of AppBuilder/core's ABModelCore.  The records in
+ * the tests are already in the stored format.
+ */
+
+module.exports = class ABModelCore {
+    constructor(object) {
+        this.object = object;
+    }
+
+    normalizeData() {}
+
+    prepareMultilingualData() {}
+};
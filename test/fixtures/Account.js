@@ -0,0 +1,10 @@
+/**
+ * resources/Account.js, which needs the server.  ABModelLocalQuery only
+ * reads the username.
+ */
+
+// exported like the compiled ES module
+exports.__esModule = true;
+exports.default = {
+    username: "tester"
+};
@@ -0,0 +1,12 @@
+/**
+ * resources/Analytics.js, which reports to Sentry and Countly.
+ */
+
+// exported like the compiled ES module
+exports.__esModule = true;
+exports.default = {
+    event() {},
+    info() {},
+    log() {},
+    logError() {}
+};
@@ -0,0 +1,9 @@
+/**
+ * The host app's config/config.js, as the tests need it.
+ */
+
+module.exports = {
+    platform: {
+        encryptedStorage: true
+    }
+};
@@ -0,0 +1,124 @@
+/**
+ * The conflicts ABModelLocal keeps when a field was changed both on the
+ * device and on the server, until the user resolves them.
+ */
+
+var assert = require("assert");
+var storage = require("../../resources/Storage").storage;
+var helpers = require("./helpers");
+
+describe("ABModelLocal conflicts", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var model;
+
+    beforeEach(() => {
+        return helpers
+            .resetStorage()
+            .then(() => {
+                model = helpers
+                    .createObject("Conflict")
+                    .model()
+                    .local();
+                return model.syncRemoteMaster([
+                    { uuid: "a", id: 1, name: "N", updated_at: "2021-01-01" }
+                ]);
+            })
+            .then(() => {
+                return model.update("a", { uuid: "a", name: "Mine" });
+            })
+            .then(() => {
+                return model.syncRemoteMaster([
+                    {
+                        uuid: "a",
+                        id: 1,
+                        name: "Theirs",
+                        updated_at: "2021-02-01"
+                    }
+                ]);
+            });
+    });
+
+    it("are listed with the record", () => {
+        return model.conflicts().then((list) => {
+            assert.equal(list.length, 1);
+            assert.equal(list[0].uuid, "a");
+            assert.equal(list[0].record.name, "Theirs");
+            assert.deepEqual(list[0].fields, {
+                name: { base: "N", local: "Mine", remote: "Theirs" }
+            });
+        });
+    });
+
+    it("survive another sync of the record", () => {
+        return model
+            .syncRemoteMaster([
+                {
+                    uuid: "a",
+                    id: 1,
+                    name: "Theirs",
+                    updated_at: "2021-02-02"
+                }
+            ])
+            .then(() => {
+                return Promise.all([
+                    model.conflicts(),
+                    storage.get("O:Conflict~a")
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0].length, 1);
+                assert.deepEqual(values[0][0].fields, {
+                    name: { base: "N", local: "Mine", remote: "Theirs" }
+                });
+                assert.ok(values[1]);
+            });
+    });
+
+    it("are gone once resolved, and the chosen value is sent", () => {
+        return model
+            .resolveConflict("a", { name: "Mine" })
+            .then((record) => {
+                assert.equal(record.name, "Mine");
+                return Promise.all([
+                    model.conflicts(),
+                    storage.get("O:Conflict/a"),
+                    model.syncState("a")
+                ]);
+            })
+            .then((values) => {
+                assert.deepEqual(values[0], []);
+                assert.equal(values[1].name, "Mine");
+                assert.equal(values[2].status, "pending");
+                assert.equal(values[2].action, "update");
+            });
+    });
+
+    it("are gone once the server has the chosen value", () => {
+        return model
+            .resolveConflict("a", { name: "Mine" })
+            .then(() => {
+                return model.syncRemoteMaster([
+                    {
+                        uuid: "a",
+                        id: 1,
+                        name: "Mine",
+                        updated_at: "2021-03-01"
+                    }
+                ]);
+            })
+            .then(() => {
+                return Promise.all([
+                    model.conflicts(),
+                    storage.get("O:Conflict/a"),
+                    storage.get("O:Conflict~a")
+                ]);
+            })
+            .then((values) => {
+                assert.deepEqual(values[0], []);
+                assert.equal(values[1].name, "Mine");
+                assert.equal(values[2], null);
+            });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Syncing only the changes since a data collection's last find.
+ */
+
+var assert = require("assert");
+var storage = require("../../resources/Storage").storage;
+var ABModelLocal = require("../../AppBuilder/platform/ABModelLocal");
+var helpers = require("./helpers");
+
+describe("ABModelLocal delta sync", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var model;
+    var context;
+
+    beforeEach(() => {
+        context = { id: "dc1", delta: { where: { name: "A" } } };
+        return helpers.resetStorage().then(() => {
+            model = helpers
+                .createObject("Delta")
+                .model()
+                .local();
+            return model.syncRemoteMaster([
+                { uuid: "a", id: 1, name: "A", updated_at: "2021-01-01" },
+                { uuid: "b", id: 2, name: "A", updated_at: "2021-01-01" }
+            ]);
+        });
+    });
+
+    it("applies the changes and deletes", () => {
+        return model
+            .syncDelta(
+                {
+                    changed: [
+                        {
+                            uuid: "a",
+                            id: 1,
+                            name: "A",
+                            v: 2,
+                            updated_at: "2021-02-01"
+                        },
+                        { uuid: "c", id: 3, name: "A" }
+                    ],
+                    deleted: [2],
+                    syncDate: "2021-02-02T00:00:00.000Z"
+                },
+                context,
+                "remote"
+            )
+            .then(() => {
+                return model.getLocalData();
+            })
+            .then((allObjects) => {
+                assert.deepEqual(Object.keys(allObjects).sort(), ["a", "c"]);
+                assert.equal(allObjects.a.v, 2);
+            });
+    });
+
+    it("saves the server's time as the watermark", () => {
+        return model
+            .syncDelta(
+                { changed: [], syncDate: "2021-02-02T00:00:00.000Z" },
+                context,
+                "remote"
+            )
+            .then(() => {
+                return Promise.all([
+                    model.watermark("dc1", { where: { name: "A" } }),
+                    model.watermark("dc1", { where: { name: "B" } }),
+                    model.watermark("dc1", {
+                        where: { name: "A" },
+                        limit: 20
+                    })
+                ]);
+            })
+            .then((dates) => {
+                assert.deepEqual(dates, [
+                    "2021-02-02T00:00:00.000Z",
+                    // the condition changed
+                    null,
+                    // a page of the records
+                    null
+                ]);
+            });
+    });
+
+    it("has no watermark until a find is saved", () => {
+        return model
+            .watermark("dc1", { where: { name: "A" } })
+            .then((date) => {
+                assert.equal(date, null);
+                return storage.transaction((tx) => {
+                    return model.saveWatermark(
+                        "dc1",
+                        { name: "A" },
+                        "2021-03-01T00:00:00.000Z",
+                        tx
+                    );
+                });
+            })
+            .then(() => {
+                return model.watermark("dc1", { where: { name: "A" } });
+            })
+            .then((date) => {
+                assert.equal(date, "2021-03-01T00:00:00.000Z");
+            });
+    });
+
+    it("tells a delta from a list of records", () => {
+        assert.equal(ABModelLocal.isDelta({ changed: [] }), true);
+        assert.equal(ABModelLocal.isDelta([]), false);
+        assert.equal(ABModelLocal.isDelta(null), false);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Secondary indexes of local object data.
+ */
+
+var assert = require("assert");
+var storage = require("../../resources/Storage").storage;
+var ABModelLocalIndex = require("../../AppBuilder/platform/ABModelLocalIndex");
+var helpers = require("./helpers");
+
+describe("ABModelLocalIndex", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var index;
+
+    beforeEach(() => {
+        return helpers.resetStorage().then(() => {
+            var model = {
+                refIndexPrefix() {
+                    return "O:Index#";
+                }
+            };
+            index = new ABModelLocalIndex(model, "name");
+        });
+    });
+
+    /**
+     * index a record in a transaction of its own.
+     * @param {string} uuid
+     * @param {obj} record
+     * @param {Promise} [wait]  keep the transaction open until this resolves
+     * @return {Promise}
+     */
+    function indexRecord(uuid, record, wait) {
+        return storage.transaction((tx) => {
+            return index
+                .update(uuid, record, tx)
+                .then(() => {
+                    return wait;
+                })
+                .then(() => {
+                    return index.save(tx);
+                });
+        });
+    }
+
+    it("finds the records with a value", () => {
+        return indexRecord("u1", { name: "Ann" })
+            .then(() => {
+                return indexRecord("u2", { name: "Bob" });
+            })
+            .then(() => {
+                return Promise.all([index.uuids("Ann"), index.uuids("Carl")]);
+            })
+            .then((found) => {
+                assert.deepEqual(found, [["u1"], []]);
+            });
+    });
+
+    it("keeps the changes of a transaction apart until it is committed", () => {
+        var release;
+        var open = new Promise((resolve) => {
+            release = resolve;
+        });
+        var first = indexRecord("u1", { name: "Ann" }, open);
+
+        return new Promise((resolve) => {
+            setTimeout(resolve, 10);
+        })
+            .then(() => {
+                // read while the transaction is open
+                return index.uuids("Ann");
+            })
+            .then((found) => {
+                assert.deepEqual(found, []);
+                release();
+                return first;
+            })
+            .then(() => {
+                return index.uuids("Ann");
+            })
+            .then((found) => {
+                assert.deepEqual(found, ["u1"]);
+            });
+    });
+
+    it("leaves the index as it was if the transaction fails", () => {
+        return indexRecord("u1", { name: "Ann" })
+            .then(() => {
+                return storage.transaction((tx) => {
+                    return index
+                        .update("u2", { name: "Ann" }, tx)
+                        .then(() => {
+                            return index.save(tx);
+                        })
+                        .then(() => {
+                            throw new Error("failed");
+                        });
+                });
+            })
+            .then(
+                () => {
+                    assert.fail("the transaction succeeded");
+                },
+                () => {
+                    return index.uuids("Ann");
+                }
+            )
+            .then((found) => {
+                assert.deepEqual(found, ["u1"]);
+            });
+    });
+
+    it("removes a record from the index", () => {
+        return indexRecord("u1", { name: "Ann" })
+            .then(() => {
+                return indexRecord("u1", null);
+            })
+            .then(() => {
+                return Promise.all([
+                    index.uuids("Ann"),
+                    helpers.storedKeys("O:Index#name/")
+                ]);
+            })
+            .then((values) => {
+                assert.deepEqual(values[0], []);
+                assert.deepEqual(values[1], []);
+            });
+    });
+
+    it("rewrites only the bucket of a changed value", () => {
+        var written;
+        return indexRecord("u1", { name: "Ann" })
+            .then(() => {
+                return indexRecord("u2", { name: "Bob" });
+            })
+            .then(() => {
+                return storage.transaction((tx) => {
+                    return index
+                        .update("u3", { name: "Carl" }, tx)
+                        .then(() => {
+                            return index.save(tx);
+                        })
+                        .then(() => {
+                            written = tx.writtenKeys("O:Index#");
+                        });
+                });
+            })
+            .then(() => {
+                var bucket = ABModelLocalIndex.bucketOf("carl");
+                assert.deepEqual(written, ["O:Index#name/" + bucket]);
+                return index.uuids("Bob");
+            })
+            .then((found) => {
+                assert.deepEqual(found, ["u2"]);
+            });
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * ABModelLocal stores each record under its own key, and moves data saved
+ * as a single value to that layout.
+ */
+
+var assert = require("assert");
+var storage = require("../../resources/Storage").storage;
+var helpers = require("./helpers");
+
+describe("ABModelLocal storage layout", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var object;
+    var model;
+
+    beforeEach(() => {
+        return helpers.resetStorage().then(() => {
+            object = helpers.createObject("Layout");
+            model = object.model().local();
+        });
+    });
+
+    describe("with data saved as a single value", () => {
+        beforeEach(() => {
+            return storage.set("O:Layout", {
+                a: { uuid: "a", id: 1, v: 1 },
+                b: { uuid: "b", id: 2, v: 2 }
+            });
+        });
+
+        it("reads the data before it is moved", () => {
+            return model.getLocalData().then((allObjects) => {
+                assert.deepEqual(Object.keys(allObjects).sort(), ["a", "b"]);
+            });
+        });
+
+        it("moves each record to its own key in platformInit()", () => {
+            return model
+                .platformInit()
+                .then(() => {
+                    return Promise.all([
+                        storage.get("O:Layout"),
+                        storage.get("O:Layout/a"),
+                        model.index("id").uuids(2),
+                        model.getLocalData()
+                    ]);
+                })
+                .then((values) => {
+                    assert.deepEqual(values[0], {
+                        layout: 2,
+                        indexLayout: 1,
+                        indexes: ["id"]
+                    });
+                    assert.deepEqual(values[1], { uuid: "a", id: 1, v: 1 });
+                    assert.deepEqual(values[2], ["b"]);
+                    assert.deepEqual(Object.keys(values[3]).sort(), ["a", "b"]);
+                });
+        });
+
+        it("moves the records as part of a transaction that changes them", () => {
+            return model
+                .syncRemoteMaster([{ uuid: "c", id: 3, v: 3 }])
+                .then(() => {
+                    return helpers.storedKeys("O:Layout/");
+                })
+                .then((keys) => {
+                    assert.deepEqual(keys, [
+                        "O:Layout/a",
+                        "O:Layout/b",
+                        "O:Layout/c"
+                    ]);
+                });
+        });
+
+        it("leaves the data as it was if the transaction fails", () => {
+            return storage
+                .transaction((tx) => {
+                    return model
+                        .syncRemoteMaster([{ uuid: "c", id: 3, v: 3 }], tx)
+                        .then(() => {
+                            throw new Error("failed");
+                        });
+                })
+                .then(
+                    () => {
+                        assert.fail("the transaction succeeded");
+                    },
+                    () => {
+                        return Promise.all([
+                            storage.get("O:Layout"),
+                            helpers.storedKeys("O:Layout/"),
+                            helpers.storedKeys("O:Layout#")
+                        ]);
+                    }
+                )
+                .then((values) => {
+                    assert.deepEqual(Object.keys(values[0]).sort(), ["a", "b"]);
+                    assert.deepEqual(values[1], []);
+                    assert.deepEqual(values[2], []);
+                });
+        });
+    });
+
+    it("splits an index saved as a single value into buckets", () => {
+        return Promise.all([
+            storage.set("O:Layout", { layout: 2, indexes: ["id"] }),
+            storage.set("O:Layout/a", { uuid: "a", id: 1, v: 1 }),
+            storage.set("O:Layout#id", { 1: ["a"] })
+        ])
+            .then(() => {
+                return model.platformInit();
+            })
+            .then(() => {
+                return Promise.all([
+                    storage.get("O:Layout#id"),
+                    helpers.storedKeys("O:Layout#id/"),
+                    model.index("id").uuids(1)
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0], null);
+                assert.equal(values[1].length, 1);
+                assert.deepEqual(values[2], ["a"]);
+            });
+    });
+
+    it("saves, updates and removes single records", () => {
+        return model
+            .create({ uuid: "a", id: 1, v: 1 })
+            .then(() => {
+                return model.localStorageUpdate({ uuid: "a", id: 1, v: 2 });
+            })
+            .then(() => {
+                return storage.get("O:Layout/a");
+            })
+            .then((record) => {
+                assert.equal(record.v, 2);
+                return model.localStorageDestroy(1);
+            })
+            .then(() => {
+                return Promise.all([
+                    helpers.storedKeys("O:Layout/"),
+                    helpers.storedKeys("O:Layout#id/")
+                ]);
+            })
+            .then((values) => {
+                assert.deepEqual(values[0], []);
+                assert.deepEqual(values[1], []);
+            });
+    });
+
+    it("removes all its keys in platformReset()", () => {
+        return model
+            .syncRemoteMaster([{ uuid: "a", id: 1, v: 1 }])
+            .then(() => {
+                return model.platformReset();
+            })
+            .then(() => {
+                return Promise.all([
+                    helpers.storedKeys("O:Layout"),
+                    model.getLocalData()
+                ]);
+            })
+            .then((values) => {
+                assert.deepEqual(values[0], []);
+                assert.deepEqual(values[1], {});
+            });
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * ABModelLocal merges the server's copy of a record with the changes made
+ * to it on the device, field by field.
+ */
+
+var assert = require("assert");
+var storage = require("../../resources/Storage").storage;
+var helpers = require("./helpers");
+
+describe("ABModelLocal three-way merge", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var model;
+
+    beforeEach(() => {
+        return helpers
+            .resetStorage()
+            .then(() => {
+                model = helpers
+                    .createObject("Merge")
+                    .model()
+                    .local();
+                return model.syncRemoteMaster([
+                    {
+                        uuid: "a",
+                        id: 1,
+                        name: "Ann",
+                        phone: "1",
+                        city: "X",
+                        updated_at: "2020-01-01"
+                    }
+                ]);
+            })
+            .then(() => {
+                // edited on the device
+                return model.update("a", {
+                    uuid: "a",
+                    phone: "2",
+                    city: "Y",
+                    updated_at: "2020-02-01"
+                });
+            });
+    });
+
+    it("keeps the server's copy from before the first local edit", () => {
+        return model
+            .update("a", { uuid: "a", phone: "3" })
+            .then(() => {
+                return Promise.all([
+                    storage.get("O:Merge/a"),
+                    storage.get("O:Merge~a")
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0].phone, "3");
+                assert.equal(values[1].phone, "1");
+                assert.equal(values[1].city, "X");
+            });
+    });
+
+    it("merges the server's changes to fields not edited locally", () => {
+        return model
+            .syncLocalMaster([
+                {
+                    uuid: "a",
+                    id: 1,
+                    name: "Anna",
+                    phone: "1",
+                    city: "X",
+                    updated_at: "2020-03-01"
+                }
+            ])
+            .then(() => {
+                return Promise.all([
+                    storage.get("O:Merge/a"),
+                    storage.get("O:Merge!a")
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0].name, "Anna");
+                assert.equal(values[0].phone, "2");
+                assert.equal(values[0].city, "Y");
+                assert.equal(values[0].updated_at, "2020-03-01");
+                assert.equal(values[1], null);
+            });
+    });
+
+    it("keeps the local value of a conflicting field, and records the conflict", () => {
+        return model
+            .syncLocalMaster([
+                {
+                    uuid: "a",
+                    id: 1,
+                    name: "Ann",
+                    phone: "1",
+                    city: "Z",
+                    updated_at: "2020-03-01"
+                }
+            ])
+            .then(() => {
+                return Promise.all([
+                    storage.get("O:Merge/a"),
+                    storage.get("O:Merge!a"),
+                    storage.get("O:Merge~a")
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0].city, "Y");
+                assert.deepEqual(values[1].fields, {
+                    city: { base: "X", local: "Y", remote: "Z" }
+                });
+                // compared with the server's latest copy from now on
+                assert.equal(values[2].city, "Z");
+            });
+    });
+
+    it("takes the server's value of a conflicting field when it is preferred", () => {
+        return model
+            .syncRemoteMaster([
+                {
+                    uuid: "a",
+                    id: 1,
+                    name: "Ann",
+                    phone: "1",
+                    city: "Z",
+                    updated_at: "2020-03-01"
+                }
+            ])
+            .then(() => {
+                return Promise.all([
+                    storage.get("O:Merge/a"),
+                    storage.get("O:Merge!a")
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0].city, "Z");
+                assert.equal(values[0].phone, "2");
+                assert.deepEqual(values[1].fields, {
+                    city: { base: "X", local: "Y", remote: "Z" }
+                });
+            });
+    });
+
+    it("forgets the server's old copy once it has the local edits", () => {
+        return model
+            .localStorageUpdate({
+                uuid: "a",
+                id: 1,
+                name: "Ann",
+                phone: "2",
+                city: "Y",
+                updated_at: "2020-03-01"
+            })
+            .then(() => {
+                return Promise.all([
+                    storage.get("O:Merge/a"),
+                    storage.get("O:Merge~a"),
+                    storage.get("O:Merge!a")
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0].updated_at, "2020-03-01");
+                assert.equal(values[1], null);
+                assert.equal(values[2], null);
+            });
+    });
+
+    it("keeps the server's old copy while it is missing a local edit", () => {
+        // the server sent back the phone, but not the city
+        return model
+            .syncRemoteMaster([
+                {
+                    uuid: "a",
+                    id: 1,
+                    name: "Ann",
+                    phone: "2",
+                    updated_at: "2020-03-01"
+                }
+            ])
+            .then(() => {
+                return Promise.all([
+                    storage.get("O:Merge/a"),
+                    storage.get("O:Merge~a")
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0].city, "Y");
+                assert.ok(values[1]);
+            });
+    });
+
+    it("replaces records that were not edited locally", () => {
+        return model
+            .syncRemoteMaster([
+                { uuid: "b", id: 2, name: "Bob", updated_at: "2020-01-01" }
+            ])
+            .then(() => {
+                return model.syncLocalMaster([
+                    {
+                        uuid: "b",
+                        id: 2,
+                        name: "Robert",
+                        updated_at: "2020-03-01"
+                    }
+                ]);
+            })
+            .then(() => {
+                return Promise.all([
+                    storage.get("O:Merge/b"),
+                    storage.get("O:Merge~b")
+                ]);
+            })
+            .then((values) => {
+                assert.equal(values[0].name, "Robert");
+                assert.equal(values[1], null);
+            });
+    });
+});
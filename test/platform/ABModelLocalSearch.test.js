@@ -0,0 +1,183 @@
+/**
+ * Offline full-text search of an object's local records.
+ */
+
+var assert = require("assert");
+var ABModelLocalSearch = require("../../AppBuilder/platform/ABModelLocalSearch");
+var helpers = require("./helpers");
+
+/**
+ * The names of the records found.
+ * @param {array} records
+ * @return {array}
+ */
+function names(records) {
+    return records.map((record) => {
+        return record.name;
+    });
+}
+
+describe("ABModelLocal.search()", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var object;
+    var model;
+
+    beforeEach(() => {
+        return helpers.resetStorage().then(() => {
+            object = helpers.createObject("Search", [
+                { id: "f1", key: "string", columnName: "name" },
+                { id: "f2", key: "email", columnName: "email" },
+                { id: "f3", key: "LongText", columnName: "notes" },
+                {
+                    id: "f4",
+                    key: "list",
+                    columnName: "role",
+                    settings: {
+                        options: [
+                            {
+                                id: "mgr",
+                                text: "Manager",
+                                translations: [
+                                    { language_code: "fr", text: "Gérant" }
+                                ]
+                            },
+                            { id: "dev", text: "Developer" }
+                        ]
+                    }
+                },
+                { id: "f5", key: "number", columnName: "age" }
+            ]);
+            model = object.model().local();
+            return model.syncRemoteMaster([
+                {
+                    uuid: "a",
+                    id: 1,
+                    name: "Ann Smith",
+                    email: "ann@example.com",
+                    notes: "likes Coffee",
+                    role: "mgr",
+                    age: 42
+                },
+                {
+                    uuid: "b",
+                    id: 2,
+                    name: "Bob Annis",
+                    email: "bob@mail.org",
+                    notes: "smithing",
+                    role: "dev",
+                    translations: [
+                        { language_code: "fr", name: "Robert Éclair" }
+                    ]
+                },
+                {
+                    uuid: "c",
+                    id: 3,
+                    name: "Carl",
+                    email: "carl@x.io",
+                    notes: "ann mentioned"
+                }
+            ]);
+        });
+    });
+
+    it("finds whole words and word beginnings, best match first", () => {
+        return Promise.all([
+            model.search("ann"),
+            model.search("smith"),
+            model.search("ann smi")
+        ]).then((found) => {
+            assert.deepEqual(names(found[0]), [
+                "Ann Smith",
+                "Bob Annis",
+                "Carl"
+            ]);
+            assert.deepEqual(names(found[1]), ["Ann Smith", "Bob Annis"]);
+            assert.deepEqual(names(found[2]), ["Ann Smith", "Bob Annis"]);
+        });
+    });
+
+    it("searches translations and list options, without accents", () => {
+        return Promise.all([
+            model.search("ECLAIR"),
+            model.search("gerant"),
+            model.search("developer"),
+            model.search("example.com")
+        ]).then((found) => {
+            assert.deepEqual(names(found[0]), ["Bob Annis"]);
+            assert.deepEqual(names(found[1]), ["Ann Smith"]);
+            assert.deepEqual(names(found[2]), ["Bob Annis"]);
+            assert.deepEqual(names(found[3]), ["Ann Smith"]);
+        });
+    });
+
+    it("ignores other fields, and finds nothing for no words", () => {
+        return Promise.all([
+            model.search("42"),
+            model.search(""),
+            model.search("ann", { limit: 1 })
+        ]).then((found) => {
+            assert.deepEqual(found[0], []);
+            assert.deepEqual(found[1], []);
+            assert.deepEqual(names(found[2]), ["Ann Smith"]);
+        });
+    });
+
+    it("follows the changes to the records", () => {
+        return model
+            .localStorageUpdate(
+                {
+                    uuid: "c",
+                    id: 3,
+                    name: "Carl Zed",
+                    email: "carl@x.io",
+                    notes: ""
+                },
+                true
+            )
+            .then(() => {
+                return model.localStorageDestroy("a", true);
+            })
+            .then(() => {
+                return model.localStorageCreate(
+                    { uuid: "d", id: 4, name: "Anna" },
+                    true
+                );
+            })
+            .then(() => {
+                return Promise.all([model.search("ann"), model.search("zed")]);
+            })
+            .then((found) => {
+                assert.deepEqual(names(found[0]).sort(), ["Anna", "Bob Annis"]);
+                assert.deepEqual(names(found[1]), ["Carl Zed"]);
+            });
+    });
+
+    it("is rebuilt when the searched fields change", () => {
+        return model
+            .search("smithing")
+            .then((found) => {
+                assert.deepEqual(names(found), ["Bob Annis"]);
+
+                object._fields = object._fields.filter((field) => {
+                    return field.key != "LongText";
+                });
+                return model.search("smithing");
+            })
+            .then((found) => {
+                assert.deepEqual(found, []);
+            });
+    });
+
+    it("splits text into words, in lower case and without accents", () => {
+        assert.deepEqual(ABModelLocalSearch.words("Crème Brûlée, s'il-vous"), [
+            "creme",
+            "brulee",
+            "s",
+            "il",
+            "vous"
+        ]);
+        assert.deepEqual(ABModelLocalSearch.words(null), []);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Helpers for the ABModelLocal tests.
+ *
+ * The models save to the shared `storage`.  Without a database, as in Node,
+ * it is over a StorageMemory.  resetStorage() empties it before each test.
+ */
+
+var ABModelLocal = require("../../AppBuilder/platform/ABModelLocal");
+var storage = require("../../resources/Storage").storage;
+
+var PASSWORD = "correct horse battery staple";
+
+module.exports = {
+    /**
+     * resetStorage()
+     * remove everything from the shared storage, and unlock it with a new
+     * key.
+     * @return {Promise}
+     */
+    resetStorage() {
+        // there are no animations to wait for
+        storage.wait = () => {
+            return Promise.resolve();
+        };
+        return storage
+            .clearAll()
+            .then(() => {
+                return storage.setPassword(PASSWORD, true);
+            })
+            .then(() => {
+                return storage.testCrypto();
+            });
+    },
+
+    /**
+     * createObject()
+     * an ABObject with just what ABModelLocal uses, and its local model.
+     * Records are identified by .uuid, and have the primary key .id
+     * @param {string} name
+     * @param {array} [fields]
+     *      the ABField settings: { id, key, columnName, settings }
+     * @return {obj}
+     *      .model().local() is the ABModelLocal of the object.
+     */
+    createObject(name, fields = []) {
+        var object = {
+            id: name,
+            name: name,
+            application: {
+                uuid() {
+                    return name + "-" + Date.now();
+                }
+            },
+            localIndexes: [],
+            _fields: fields,
+
+            PK() {
+                return "id";
+            },
+
+            fieldUUID(data) {
+                return data && data.uuid ? "uuid" : "id";
+            },
+
+            fields(filter) {
+                return filter ? this._fields.filter(filter) : this._fields;
+            }
+        };
+
+        var local = new ABModelLocal(object);
+        object.model = () => {
+            return {
+                local() {
+                    return local;
+                }
+            };
+        };
+        return object;
+    },
+
+    /**
+     * storedKeys()
+     * the keys the shared storage has that begin with prefix.
+     * @param {string} prefix
+     * @return {Promise}
+     *      resolved with a sorted [array] of keys
+     */
+    storedKeys(prefix) {
+        return storage.keys(prefix).then((keys) => {
+            return keys.sort();
+        });
+    }
+};
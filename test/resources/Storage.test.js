@@ -0,0 +1,199 @@
+/**
+ * Storage over the in-memory backend.
+ */
+"use strict";
+
+import assert from "assert";
+import StorageMemory from "../../resources/StorageMemory.js";
+import { createStorage, unlock } from "./helpers.js";
+
+describe("StorageMemory", () => {
+    var backend;
+
+    beforeEach(() => {
+        backend = new StorageMemory();
+        return backend.init();
+    });
+
+    it("saves, loads and removes rows", () => {
+        return backend
+            .set("a", "1", 0)
+            .then(() => {
+                return backend.get("a");
+            })
+            .then((row) => {
+                assert.deepEqual(row, {
+                    key: "a",
+                    value: "1",
+                    is_encrypted: 0,
+                    expires_at: null
+                });
+                return backend.clear("a");
+            })
+            .then(() => {
+                return backend.get("a");
+            })
+            .then((row) => {
+                assert.equal(row, null);
+            });
+    });
+
+    it("loads the rows with a prefix", () => {
+        return Promise.all([
+            backend.set("O:A/1", "1", 0),
+            backend.set("O:A/2", "2", 0),
+            backend.set("O:B/1", "3", 0)
+        ])
+            .then(() => {
+                return backend.getPrefix("O:A/");
+            })
+            .then((rows) => {
+                var keys = rows.map((row) => {
+                    return row.key;
+                });
+                assert.deepEqual(keys.sort(), ["O:A/1", "O:A/2"]);
+            });
+    });
+
+    it("applies a batch of writes", () => {
+        return backend
+            .set("gone", "1", 0)
+            .then(() => {
+                return backend.batch([
+                    { key: "gone", clear: true },
+                    { key: "new", value: "2", isEncrypted: 1 }
+                ]);
+            })
+            .then(() => {
+                return backend.getAll();
+            })
+            .then((rows) => {
+                assert.equal(rows.length, 1);
+                assert.equal(rows[0].key, "new");
+                assert.equal(rows[0].is_encrypted, 1);
+            });
+    });
+
+    it("does not share rows with the caller", () => {
+        return backend
+            .set("a", "1", 0)
+            .then(() => {
+                return backend.get("a");
+            })
+            .then((row) => {
+                row.value = "changed";
+                return backend.get("a");
+            })
+            .then((row) => {
+                assert.equal(row.value, "1");
+            });
+    });
+});
+
+describe("Storage", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var backend;
+    var store;
+
+    beforeEach(() => {
+        backend = new StorageMemory();
+        return unlock(createStorage(backend), undefined, true).then((s) => {
+            store = s;
+        });
+    });
+
+    it("uses the backend it is given", () => {
+        assert.strictEqual(store.backend, backend);
+    });
+
+    it("saves and loads values", () => {
+        var value = { name: "Ann", tags: ["a", "b"], count: 2 };
+        return store
+            .set("a", value)
+            .then(() => {
+                return store.get("a");
+            })
+            .then((loaded) => {
+                assert.deepEqual(loaded, value);
+                return store.get("missing");
+            })
+            .then((loaded) => {
+                assert.equal(loaded, null);
+            });
+    });
+
+    it("encrypts values unless asked not to", function() {
+        if (!store.isEncrypted()) this.skip();
+
+        return store
+            .set("secret", "hidden value")
+            .then(() => {
+                return store.set("plain", "shown value", {
+                    forcePlainText: true
+                });
+            })
+            .then(() => {
+                var secret = backend.rows["secret"];
+                assert.equal(secret.is_encrypted, 1);
+                assert.equal(secret.value.indexOf("hidden"), -1);
+
+                var plain = backend.rows["plain"];
+                assert.equal(plain.is_encrypted, 0);
+                assert.equal(plain.value, '"shown value"');
+            });
+    });
+
+    it("loads values by prefix and lists their keys", () => {
+        return Promise.all([
+            store.set("O:A/1", { v: 1 }),
+            store.set("O:A/2", { v: 2 }),
+            store.set("O:B/1", { v: 3 })
+        ])
+            .then(() => {
+                return store.getPrefix("O:A/");
+            })
+            .then((values) => {
+                assert.deepEqual(values, {
+                    "O:A/1": { v: 1 },
+                    "O:A/2": { v: 2 }
+                });
+                return store.keys("O:B/");
+            })
+            .then((keys) => {
+                assert.deepEqual(keys, ["O:B/1"]);
+            });
+    });
+
+    it("removes one value, or all of them", () => {
+        return Promise.all([store.set("a", 1), store.set("b", 2)])
+            .then(() => {
+                return store.clear("a");
+            })
+            .then(() => {
+                return Promise.all([store.get("a"), store.get("b")]);
+            })
+            .then((values) => {
+                assert.deepEqual(values, [null, 2]);
+                return store.clearAll();
+            })
+            .then(() => {
+                assert.deepEqual(backend.rows, {});
+            });
+    });
+
+    it("keeps its data for another Storage over the same backend", () => {
+        return store
+            .set("a", { v: 1 })
+            .then(() => {
+                return unlock(createStorage(backend));
+            })
+            .then((other) => {
+                return other.get("a");
+            })
+            .then((loaded) => {
+                assert.deepEqual(loaded, { v: 1 });
+            });
+    });
+});
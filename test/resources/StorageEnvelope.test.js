@@ -0,0 +1,153 @@
+/**
+ * The authenticated "v2:" format of encrypted values, and the upgrade of
+ * values saved in the legacy format.
+ */
+"use strict";
+
+import assert from "assert";
+import CryptoJS from "crypto-js";
+import StorageMemory from "../../resources/StorageMemory.js";
+import { createStorage, settle, unlock } from "./helpers.js";
+
+/**
+ * Encrypt a value the way it was before the "v2:" format.
+ * @param {Storage} store
+ * @param {*} value
+ * @return {string}
+ */
+function legacyCiphertext(store, value) {
+    var iv = CryptoJS.lib.WordArray.random(16);
+    var ciphertext = CryptoJS.AES.encrypt(JSON.stringify(value), store.key, {
+        iv: iv
+    });
+    return ciphertext.toString() + ":::" + iv.toString();
+}
+
+describe("Storage encrypted values", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var backend;
+    var store;
+
+    beforeEach(function() {
+        backend = new StorageMemory();
+        return unlock(createStorage(backend), undefined, true).then((s) => {
+            store = s;
+            if (!store.isEncrypted()) this.skip();
+        });
+    });
+
+    it("are saved in the v2 format", () => {
+        return store
+            .set("a", { v: 1 })
+            .then(() => {
+                assert.equal(backend.rows["a"].value.indexOf("v2:"), 0);
+                return store.get("a");
+            })
+            .then((value) => {
+                assert.deepEqual(value, { v: 1 });
+            });
+    });
+
+    it("are rejected if changed", () => {
+        return store.set("a", { v: 1 }).then(() => {
+            var raw = CryptoJS.enc.Base64.parse(
+                backend.rows["a"].value.slice(3)
+            );
+            // a bit of the IV
+            raw.words[3] ^= 1;
+            backend.rows["a"].value = "v2:" + raw.toString(CryptoJS.enc.Base64);
+
+            return store.get("a").then(
+                () => {
+                    assert.fail("the changed value was read");
+                },
+                (err) => {
+                    assert.equal(err.code, "E_DECRYPT_AUTH");
+                }
+            );
+        });
+    });
+
+    it("are rejected if cut short", () => {
+        return store.set("a", { v: 1 }).then(() => {
+            backend.rows["a"].value = "v2:AAAA";
+
+            return store.get("a").then(
+                () => {
+                    assert.fail("the truncated value was read");
+                },
+                (err) => {
+                    assert.equal(err.code, "E_DECRYPT_AUTH");
+                }
+            );
+        });
+    });
+
+    it("in the legacy format are read, then upgraded", () => {
+        backend.rows["old"] = {
+            key: "old",
+            value: legacyCiphertext(store, { old: true }),
+            is_encrypted: 1
+        };
+
+        return store
+            .get("old")
+            .then((value) => {
+                assert.deepEqual(value, { old: true });
+                return settle();
+            })
+            .then(() => {
+                assert.equal(backend.rows["old"].value.indexOf("v2:"), 0);
+                return store.get("old");
+            })
+            .then((value) => {
+                assert.deepEqual(value, { old: true });
+            });
+    });
+
+    it("in the legacy format are upgraded at unlock", () => {
+        backend.rows["old"] = {
+            key: "old",
+            value: legacyCiphertext(store, { old: true }),
+            is_encrypted: 1
+        };
+
+        return unlock(createStorage(backend))
+            .then(() => {
+                return settle();
+            })
+            .then(() => {
+                assert.equal(backend.rows["old"].value.indexOf("v2:"), 0);
+                return store.get("old");
+            })
+            .then((value) => {
+                assert.deepEqual(value, { old: true });
+            });
+    });
+
+    it("saved during an upgrade are not overwritten by it", () => {
+        backend.rows["old"] = {
+            key: "old",
+            value: legacyCiphertext(store, "old value"),
+            is_encrypted: 1
+        };
+
+        var read = store.get("old");
+        return store
+            .set("old", "new value")
+            .then(() => {
+                return read;
+            })
+            .then(() => {
+                return settle();
+            })
+            .then(() => {
+                return store.get("old");
+            })
+            .then((value) => {
+                assert.equal(value, "new value");
+            });
+    });
+});
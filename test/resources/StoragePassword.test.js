@@ -0,0 +1,201 @@
+/**
+ * Changing the pass phrase: Storage.changePassword() and resuming a change
+ * that was interrupted.
+ */
+"use strict";
+
+import assert from "assert";
+import StorageMemory from "../../resources/StorageMemory.js";
+import { createStorage, unlock, PASSWORD } from "./helpers.js";
+
+const NEW_PASSWORD = "a new pass phrase";
+
+/**
+ * Check that the data saved by saveData() can be read.
+ * @param {Storage} store
+ * @return {Promise}
+ */
+function checkData(store) {
+    return Promise.all([
+        store.get("a"),
+        store.get("b"),
+        store.get("plain")
+    ]).then((values) => {
+        assert.deepEqual(values, [{ v: 1 }, [1, 2, 3], "p"]);
+    });
+}
+
+/**
+ * Check that a pass phrase does not unlock the data.
+ * @param {StorageBackend} backend
+ * @param {string} secret
+ * @return {Promise}
+ */
+function checkRejected(backend, secret) {
+    return unlock(createStorage(backend), secret).then(
+        () => {
+            assert.fail(`"${secret}" was accepted`);
+        },
+        (err) => {
+            assert.equal(err.code, "E_WRONG_PASSWORD");
+        }
+    );
+}
+
+/**
+ * Make the backend fail on the given write of an encrypted row, the way it
+ * would if the app were closed then.
+ * @param {StorageMemory} backend
+ * @param {fn} isFatal
+ *      isFatal(key, isEncrypted) returns true for the write to fail.
+ * @return {fn}  call to make writes work again
+ */
+function interruptWrites(backend, isFatal) {
+    var set = backend.set;
+    backend.set = function(key, value, isEncrypted) {
+        if (isFatal(key, isEncrypted)) {
+            return Promise.reject(new Error("app closed"));
+        }
+        return set.apply(this, arguments);
+    };
+    return () => {
+        backend.set = set;
+    };
+}
+
+describe("Storage.changePassword()", function() {
+    // deriving a key takes a while
+    this.timeout(60000);
+
+    var backend;
+    var store;
+
+    beforeEach(function() {
+        backend = new StorageMemory();
+        return unlock(createStorage(backend), PASSWORD, true).then((s) => {
+            store = s;
+            if (!store.isEncrypted()) this.skip();
+
+            return Promise.all([
+                store.set("a", { v: 1 }),
+                store.set("b", [1, 2, 3]),
+                store.set("plain", "p", { forcePlainText: true })
+            ]);
+        });
+    });
+
+    it("re-encrypts the data under the new pass phrase", () => {
+        return store
+            .changePassword(PASSWORD, NEW_PASSWORD)
+            .then(() => {
+                return checkData(store);
+            })
+            .then(() => {
+                return checkRejected(backend, PASSWORD);
+            })
+            .then(() => {
+                return unlock(createStorage(backend), NEW_PASSWORD);
+            })
+            .then((other) => {
+                return checkData(other);
+            })
+            .then(() => {
+                assert.equal(backend.rows["__sdc_rekey"], undefined);
+            });
+    });
+
+    it("rejects a wrong current pass phrase", () => {
+        return store
+            .changePassword("wrong", NEW_PASSWORD)
+            .then(
+                () => {
+                    assert.fail("the change was made");
+                },
+                (err) => {
+                    assert.equal(err.code, "E_WRONG_PASSWORD");
+                }
+            )
+            .then(() => {
+                return unlock(createStorage(backend), PASSWORD);
+            })
+            .then((other) => {
+                return checkData(other);
+            });
+    });
+
+    it("is resumed with the old pass phrase if interrupted while copying", () => {
+        var count = 0;
+        var restore = interruptWrites(backend, (key, isEncrypted) => {
+            // the second row copied under the new key
+            return isEncrypted > 1 && key != "__sdc_rekey" && ++count == 2;
+        });
+
+        return store
+            .changePassword(PASSWORD, NEW_PASSWORD)
+            .then(
+                () => {
+                    assert.fail("the change was not interrupted");
+                },
+                (err) => {
+                    assert.equal(err.message, "app closed");
+                    restore();
+                }
+            )
+            .then(() => {
+                assert.equal(backend.rows["__sdc_rekey"].is_encrypted, 0);
+
+                // not committed yet
+                return checkRejected(backend, NEW_PASSWORD);
+            })
+            .then(() => {
+                return unlock(createStorage(backend), PASSWORD);
+            })
+            .then((resumed) => {
+                assert.equal(backend.rows["__sdc_rekey"], undefined);
+                return checkData(resumed);
+            })
+            .then(() => {
+                return checkRejected(backend, PASSWORD);
+            })
+            .then(() => {
+                return unlock(createStorage(backend), NEW_PASSWORD);
+            })
+            .then((other) => {
+                return checkData(other);
+            });
+    });
+
+    it("is resumed with the new pass phrase if interrupted while committing", () => {
+        var restore = interruptWrites(backend, (key) => {
+            return key == "__sdc_salt";
+        });
+
+        return store
+            .changePassword(PASSWORD, NEW_PASSWORD)
+            .then(
+                () => {
+                    assert.fail("the change was not interrupted");
+                },
+                (err) => {
+                    assert.equal(err.message, "app closed");
+                    restore();
+                }
+            )
+            .then(() => {
+                return checkRejected(backend, PASSWORD);
+            })
+            .then(() => {
+                return unlock(createStorage(backend), NEW_PASSWORD);
+            })
+            .then((resumed) => {
+                assert.equal(backend.rows["__sdc_rekey"], undefined);
+                return checkData(resumed);
+            })
+            .then(() => {
+                return unlock(createStorage(backend), NEW_PASSWORD);
+            })
+            .then((other) => {
+                return checkData(other);
+            });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Storage.transaction() and StorageTransaction.
+ */
+"use strict";
+
+import assert from "assert";
+import StorageMemory from "../../resources/StorageMemory.js";
+import { createStorage, unlock } from "./helpers.js";
+
+describe("Storage.transaction()", function() {
+    // deriving a key takes a while
+    this.timeout(20000);
+
+    var backend;
+    var store;
+
+    beforeEach(() => {
+        backend = new StorageMemory();
+        return unlock(createStorage(backend), undefined, true).then((s) => {
+            store = s;
+            return store.set("old", "old value");
+        });
+    });
+
+    it("saves its writes together when it finishes", () => {
+        return store
+            .transaction((tx) => {
+                return tx
+                    .set("a", { v: 1 })
+                    .then(() => {
+                        return tx.clear("old");
+                    })
+                    .then(() => {
+                        // nothing is saved yet
+                        return Promise.all([store.get("a"), store.get("old")]);
+                    })
+                    .then((values) => {
+                        assert.deepEqual(values, [null, "old value"]);
+                        return "result";
+                    });
+            })
+            .then((result) => {
+                assert.equal(result, "result");
+                return Promise.all([store.get("a"), store.get("old")]);
+            })
+            .then((values) => {
+                assert.deepEqual(values, [{ v: 1 }, null]);
+            });
+    });
+
+    it("saves nothing if it fails", () => {
+        return store
+            .transaction((tx) => {
+                return tx
+                    .set("a", { v: 1 })
+                    .then(() => {
+                        return tx.clear("old");
+                    })
+                    .then(() => {
+                        throw new Error("failed");
+                    });
+            })
+            .then(
+                () => {
+                    assert.fail("the transaction succeeded");
+                },
+                (err) => {
+                    assert.equal(err.message, "failed");
+                }
+            )
+            .then(() => {
+                return Promise.all([store.get("a"), store.get("old")]);
+            })
+            .then((values) => {
+                assert.deepEqual(values, [null, "old value"]);
+            });
+    });
+
+    it("reads its own writes", () => {
+        return Promise.all([store.set("O:A/1", 1), store.set("O:A/2", 2)])
+            .then(() => {
+                return store.transaction((tx) => {
+                    return tx
+                        .set("O:A/3", 3)
+                        .then(() => {
+                            return tx.clear("O:A/1");
+                        })
+                        .then(() => {
+                            return Promise.all([
+                                tx.get("O:A/3"),
+                                tx.get("O:A/1"),
+                                tx.getPrefix("O:A/"),
+                                tx.keys("O:A/")
+                            ]);
+                        });
+                });
+            })
+            .then((results) => {
+                assert.equal(results[0], 3);
+                assert.equal(results[1], null);
+                assert.deepEqual(results[2], { "O:A/2": 2, "O:A/3": 3 });
+                assert.deepEqual(results[3].sort(), ["O:A/2", "O:A/3"]);
+            });
+    });
+
+    it("calls afterCommit() only once its writes are saved", () => {
+        var calls = [];
+        return store
+            .transaction((tx) => {
+                tx.afterCommit(() => {
+                    calls.push("committed");
+                });
+                return tx.set("a", 1);
+            })
+            .then(() => {
+                assert.deepEqual(calls, ["committed"]);
+
+                return store.transaction((tx) => {
+                    tx.afterCommit(() => {
+                        calls.push("failed");
+                    });
+                    return Promise.reject(new Error("failed"));
+                });
+            })
+            .then(
+                () => {
+                    assert.fail("the transaction succeeded");
+                },
+                () => {
+                    assert.deepEqual(calls, ["committed"]);
+                }
+            );
+    });
+
+    it("can't be written to once it is finished", () => {
+        var finished;
+        return store
+            .transaction((tx) => {
+                finished = tx;
+            })
+            .then(() => {
+                return finished.set("a", 1);
+            })
+            .then(
+                () => {
+                    assert.fail("the write was accepted");
+                },
+                (err) => {
+                    assert.equal(
+                        err.message,
+                        "StorageTransaction is already finished"
+                    );
+                    return store.get("a");
+                }
+            )
+            .then((value) => {
+                assert.equal(value, null);
+            });
+    });
+
+    it("holds its locks until it is over", () => {
+        var order = [];
+        var first = store.transaction((tx) => {
+            return tx.lock("O:A").then(() => {
+                order.push("first");
+                return tx.set("a", 1);
+            });
+        });
+        var second = store.transaction((tx) => {
+            return tx.lock("O:A").then(() => {
+                order.push("second");
+                return tx.get("a").then((value) => {
+                    assert.equal(value, 1);
+                });
+            });
+        });
+        return Promise.all([first, second]).then(() => {
+            assert.deepEqual(order, ["first", "second"]);
+        });
+    });
+});
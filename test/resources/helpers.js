@@ -0,0 +1,59 @@
+/**
+ * Helpers for the Storage tests.
+ *
+ * Each test makes its own Storage over a new StorageMemory, so nothing is
+ * shared between tests and nothing is written to a real database.
+ */
+"use strict";
+
+import { Storage } from "../../resources/Storage.js";
+import StorageMemory from "../../resources/StorageMemory.js";
+
+export const PASSWORD = "correct horse battery staple";
+
+/**
+ * createStorage()
+ * a Storage over the given backend.  It is not unlocked yet.
+ * @param {StorageBackend} [backend]
+ * @return {Storage}
+ */
+export function createStorage(backend = new StorageMemory()) {
+    var store = new Storage("test", "Test", "1.0", 1, { backend: backend });
+    // there are no animations to wait for
+    store.wait = () => {
+        return Promise.resolve();
+    };
+    return store;
+}
+
+/**
+ * unlock()
+ * give a Storage its pass phrase, the way the password page does.
+ * @param {Storage} store
+ * @param {string} [secret]
+ * @param {bool} [resetSalt]
+ * @return {Promise}
+ *      resolved with the store
+ */
+export function unlock(store, secret = PASSWORD, resetSalt = false) {
+    return store
+        .setPassword(secret, resetSalt)
+        .then(() => {
+            return store.testCrypto();
+        })
+        .then(() => {
+            return store;
+        });
+}
+
+/**
+ * settle()
+ * let the work a Storage does in the background, after an unlock or a
+ * read, finish.
+ * @return {Promise}
+ */
+export function settle() {
+    return new Promise((resolve) => {
+        setTimeout(resolve, 50);
+    });
+}
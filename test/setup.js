@@ -0,0 +1,48 @@
+/**
+ * Lets the tests load this module in Node, without the host app.
+ *
+ * The files in resources/ are ES modules, which the host app's build turns
+ * into CommonJS.  Here @babel/register does that.
+ *
+ * Some of what they load comes from the host app, or needs a device:
+ * the app's config/config.js, AppBuilder/core, and the modules that report
+ * to Sentry or talk to the server.  Those are loaded from test/fixtures/
+ * instead.
+ */
+
+var Module = require("module");
+var path = require("path");
+
+var ROOT = path.resolve(__dirname, "..");
+var FIXTURES = path.join(__dirname, "fixtures");
+
+// { the path a module would be loaded from : the fixture loaded instead }
+var REPLACED = {};
+REPLACED[path.resolve(ROOT, "../config/config.js")] = "config.js";
+REPLACED[path.join(ROOT, "AppBuilder/core/ABModelCore")] = "ABModelCore.js";
+REPLACED[path.join(ROOT, "resources/Account")] = "Account.js";
+REPLACED[path.join(ROOT, "resources/Account.js")] = "Account.js";
+REPLACED[path.join(ROOT, "resources/Analytics.js")] = "Analytics.js";
+REPLACED[path.join(ROOT, "resources/Log.js")] = "Log.js";
+
+var resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, parent, ...rest) {
+    if (parent && parent.filename && request.charAt(0) == ".") {
+        var wanted = path.resolve(path.dirname(parent.filename), request);
+        if (REPLACED[wanted]) {
+            return path.join(FIXTURES, REPLACED[wanted]);
+        }
+    }
+    return resolveFilename.call(this, request, parent, ...rest);
+};
+
+// a browser without web workers: PBKDF2-async derives keys in this thread
+global.window = {};
+
+require("@babel/register")({
+    babelrc: false,
+    configFile: false,
+    only: [ROOT],
+    ignore: [/node_modules/],
+    presets: [["@babel/preset-env", { targets: { node: "current" } }]]
+});